@@ -1,5 +1,10 @@
 import { html } from 'lit';
-import { highlightMatches } from './highlightMatches.js';
+import { highlightWithMatches, clearHighlights, markStyles } from './highlightMatches.js';
+import { adoptRootStyles } from './highlightApi.js';
+import { requestQueryStore, DOM_MATCH_DEFAULTS } from './query-manager/query-manager.js';
+
+/** Options of the source (`query-input`) that decide the hits and are applied by `highlight()`. */
+const SOURCE_MATCH_OPTIONS = ['normalizers', 'splitWords', 'matchMode', 'exactMatch', 'maxEdits', 'multipleMatches', 'locale'];
 
 /**
  * Mixin that adds highlight-tracking and filtering state to a Lit component.
@@ -7,24 +12,53 @@ import { highlightMatches } from './highlightMatches.js';
  * Features:
  * - Allows multiple calls to `this.highlight()` inside a single render cycle.
  * - Tracks both local matches (from this component's highlight calls) and descendant matches (from child components with the same mixin).
- * - Automatically sets and reflects the following attributes:
- *    - `matched`: `"true"` / `"false"`, used for filtering visibility.
+ * - Counts the hits the matching core reports (also for the Highlight API), not the rendered markup;
+ *   the counts are set within the update that rendered them (they are in `updated()`'s
+ *   `changedProps`), so they cost no extra render.
+ * - Automatically sets and reflects the following properties:
+ *    - `matched`: boolean attribute, used for filtering visibility.
  *    - `localMatchCount`: number of local highlight matches in this component.
- *    - `descendantMatchCount`: number of child components with `matched="true"`.
+ *    - `descendantMatchCount`: number of child components with `matched`.
  *
  * Behavior when query is empty:
- * - Always sets `matched="true"`, meaning "visible by default when no filter is applied".
+ * - Always sets `matched`, meaning "visible by default when no filter is applied".
+ *
+ * Query binding (optional):
+ * - Set `query-key` (or pass `{ key }` to the mixin) to follow that key of the nearest query store
+ *   (`query-store-provider`, or an assigned `queryStore`). `this.query` then holds the current query,
+ *   the component re-renders when it changes, and `this.highlight(text)` uses it together with
+ *   the matching options of the source `query-input` (normalizers, splitWords, locale, ...).
+ * - Without a key, `this.query` is a plain property and `highlight(text, query)` works as before.
  *
  * Usage:
  * - Use `this.highlight()` inside your `render()`.
- * - In your CSS or filtering logic, use `[matched="true"]` and `[matched="false"]` as needed.
+ * - In your CSS or filtering logic, use `[matched]` and `:not([matched])` as needed.
+ * - Theme the marks with the custom properties of `matchStyles.js` (e.g. `--highlight-term-1-background`).
  *
  * @template {import('lit').LitElement} T
  * @param {T} Base - Base LitElement class to extend.
+ * @param {{ key?: string }} [config] - `key`: query key bound by default (the `query-key` attribute wins).
  * @returns {T & { highlight: Function }}
  */
-export const HighlightableMixin = (Base) => class extends Base {
+export const HighlightableMixin = (Base, { key } = {}) => class extends Base {
   static properties = {
+    /**
+     * Current query: kept in sync with `queryKey` when bound, otherwise set it yourself.
+     * @type {string}
+     */
+    query: { type: String },
+
+    /**
+     * Query key to follow in the nearest query store.
+     * @type {string | undefined}
+     */
+    queryKey: { type: String, attribute: 'query-key' },
+
+    /**
+     * Store to follow instead of the nearest provider.
+     */
+    queryStore: { attribute: false },
+
     /**
      * Total number of highlight matches from this component's own `highlight()` calls.
      * @type {number}
@@ -32,14 +66,13 @@ export const HighlightableMixin = (Base) => class extends Base {
     localMatchCount: { type: Number, reflect: true },
 
     /**
-     * Total number of descendant elements (inside renderRoot) with `matched="true"`.
+     * Total number of descendant elements (inside renderRoot) with `matched`.
      * @type {number}
      */
     descendantMatchCount: { type: Number, reflect: true },
 
     /**
      * Indicates if this component (or its descendants) currently match the search/filter.
-     * Always reflects to the DOM as "true" or "false".
      * @type {boolean}
      */
     matched: { type: Boolean, reflect: true },
@@ -47,12 +80,20 @@ export const HighlightableMixin = (Base) => class extends Base {
 
   constructor() {
     super();
-    /** @private {boolean} Tracks if this component had any local matches during the current render */
-    this._highlightMatchFound = false;
+    /** @private {import('./matchCore.js').MatchResult[]} Hits of the `highlight()` calls of the current render */
+    this._renderMatches = [];
 
     /** @private {string} Last query received during this render cycle */
     this._currentQuery = '';
 
+    /** @private {object} Options the source stored with the bound query */
+    this._sourceOptions = {};
+
+    /** @private {boolean} Set while the counts are written within an update, see requestUpdate() */
+    this._settingMatchState = false;
+
+    this.query = '';
+    this.queryKey = key;
     this.localMatchCount = 0;
     this.descendantMatchCount = 0;
     this.matched = true; // Default: visible when no query is applied
@@ -60,25 +101,96 @@ export const HighlightableMixin = (Base) => class extends Base {
 
   /**
    * Wrapper for highlightMatches. Should always be used inside render().
-   * Tracks local matches and stores the current query for use in updated().
+   * Tracks local matches and stores the current query for the counts set after the render.
    *
    * @param {string} text - The text to highlight.
-   * @param {string} query - The search query string.
-   * @param {object} [options] - Highlight options (normalizers, splitWords, etc.).
+   * @param {string} [query=this.query] - The search query string.
+   * @param {object} [options] - Highlight options (normalizers, splitWords, etc.); when bound
+   *   to a query key, they override the options of the source.
    * @returns {any} TemplateResult[] or HTML string.
    */
-  highlight(text, query, options = {}) {
+  highlight(text, query = this.query, options = {}) {
     this._currentQuery = query;
-    const result = highlightMatches(text, query, options);
+    if (this.queryKey) {
+      options = { ...DOM_MATCH_DEFAULTS, ...this._sourceOptions, ...options };
+    }
+    // Per-term mark colours; the marks are rendered into this component's root
+    if (!options.useHighlightAPI && this.renderRoot) adoptRootStyles(this.renderRoot, markStyles);
+    // Highlight API ranges are scoped to this component and owned by it
+    const { result, matches } = highlightWithMatches(text, query, options.useHighlightAPI
+      ? { root: this.renderRoot, key: this, ...options }
+      : options);
+
+    this._renderMatches.push(...matches);
+    return result;
+  }
+
+  /**
+   * Lit lifecycle: collects the hits of this render and sets the counts right after it.
+   */
+  update(changedProps) {
+    this._renderMatches = [];
+    super.update(changedProps);
+    this._updateMatchState(changedProps);
+  }
+
+  /**
+   * Lit lifecycle: the counts written at the end of `update()` belong to that update
+   * and must not schedule another one.
+   */
+  requestUpdate(name, oldValue, options) {
+    if (this._settingMatchState) return;
+    super.requestUpdate(name, oldValue, options);
+  }
+
+  connectedCallback() {
+    super.connectedCallback?.();
+    // Resolved on every connect, the element may have been moved under another provider
+    this._bindQuery();
+  }
 
-    const localCount = this._countMarksInResult(result);
-    this.localMatchCount += localCount;
+  /**
+   * Lit lifecycle: drops Highlight API ranges owned by this component.
+   */
+  disconnectedCallback() {
+    super.disconnectedCallback?.();
+    this.__unsubQuery?.();
+    this.__unsubQuery = null;
+    clearHighlights(this);
+  }
 
-    if (localCount > 0) {
-      this._highlightMatchFound = true;
+  willUpdate(changedProps) {
+    super.willUpdate?.(changedProps);
+    // Also before the first update: `append(el); el.queryStore = store;` assigns after connect
+    if (this.isConnected && (this.queryKey !== this.__boundKey || this.queryStore !== this.__boundQueryStore)) {
+      this._bindQuery();
     }
+  }
 
-    return result;
+  /**
+   * (Re)subscribes to `queryKey` of the current store and takes over its query and options.
+   *
+   * @private
+   */
+  _bindQuery() {
+    this.__unsubQuery?.();
+    this.__unsubQuery = null;
+    this.__boundKey = this.queryKey;
+    this.__boundQueryStore = this.queryStore;
+    if (!this.queryKey || !this.isConnected) return;
+
+    const store = this.queryStore || requestQueryStore(this);
+    const apply = (value, options) => {
+      this._sourceOptions = Object.fromEntries(SOURCE_MATCH_OPTIONS
+        .filter(name => options?.[name] !== undefined)
+        .map(name => [name, options[name]]));
+      this.query = value ?? '';
+      // Changed options alone (e.g. a switched locale) are no property change for Lit
+      this.requestUpdate();
+    };
+
+    apply(store.getQuery(this.queryKey), store.getQueryOptions(this.queryKey));
+    this.__unsubQuery = store.subscribeQuery(this.queryKey, apply);
   }
 
   /**
@@ -87,61 +199,63 @@ export const HighlightableMixin = (Base) => class extends Base {
    * @returns {boolean}
    */
   get hasLocalMatch() {
-    return this._highlightMatchFound;
+    return this._renderMatches.length > 0;
   }
 
   /**
-   * Lit lifecycle: Runs after each render.
-   * Updates all reactive public properties based on current query and highlight state.
+   * Hits of this component's `highlight()` calls in the last render (`start`/`end` are
+   * offsets in the highlighted text; `term`, `kind`, `score`).
+   *
+   * @returns {import('./matchCore.js').MatchResult[]}
    */
-  updated() {
-    super.updated?.();
+  get localMatches() {
+    return this._renderMatches.slice();
+  }
 
+  /**
+   * Sets the counts from the current query and highlight state, right after the render.
+   * Lit has already reflected this update's properties, so the changed counts are reflected
+   * here and added to `changedProps` for `updated()`, without requesting another update.
+   *
+   * @private
+   * @param {Map<string, unknown>} changedProps
+   */
+  _updateMatchState(changedProps) {
     const queryIsEmpty = !this._currentQuery?.trim();
+    const localMatchCount = this._renderMatches.length;
 
-    // Count descendant matches (number of child elements with matched="true")
-    this.descendantMatchCount = this._countDescendantMatches();
+    // Count descendant matches (number of child elements with matched)
+    const descendantMatchCount = this._countDescendantMatches();
 
-    const shouldBeMatched =
+    const matched =
       queryIsEmpty ||
       this.hasLocalMatch ||
-      this.descendantMatchCount > 0;
-
-    this.matched = shouldBeMatched;
-
-    // Reset counters for next render cycle
-    this._highlightMatchFound = false;
-    this.localMatchCount = 0;
-  }
+      descendantMatchCount > 0;
 
-  /**
-   * Counts the number of <mark> tags in a highlight result.
-   *
-   * @private
-   * @param {any} result - The result from highlightMatches().
-   * @returns {number}
-   */
-  _countMarksInResult(result) {
-    if (Array.isArray(result)) {
-      return result.reduce((total, part) => {
-        const combined = part.strings?.join('') ?? '';
-        return total + (combined.split('<mark').length - 1);
-      }, 0);
-    }
-    if (typeof result === 'string') {
-      return (result.split('<mark').length - 1) || 0;
+    this._settingMatchState = true;
+    try {
+      Object.entries({ localMatchCount, descendantMatchCount, matched }).forEach(([name, value]) => {
+        if (Object.is(this[name], value)) return;
+        if (!changedProps.has(name)) changedProps.set(name, this[name]);
+        this[name] = value;
+      });
+      // Same attributes as Lit's reflection (the attribute callback is silenced as well)
+      this.setAttribute('localmatchcount', String(localMatchCount));
+      this.setAttribute('descendantmatchcount', String(descendantMatchCount));
+      this.toggleAttribute('matched', matched);
+    } finally {
+      this._settingMatchState = false;
     }
-    return 0;
   }
 
   /**
-   * Counts the number of direct or indirect descendants with matched="true".
+   * Counts the number of direct or indirect descendants with `matched`.
    *
    * @private
    * @returns {number}
    */
   _countDescendantMatches() {
     const root = this.renderRoot ?? this.shadowRoot ?? this;
-    return root.querySelectorAll?.('[matched="true"]').length || 0;
+    return root.querySelectorAll?.('[matched]').length || 0;
   }
 };
\ No newline at end of file
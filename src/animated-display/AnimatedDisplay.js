@@ -1,13 +1,50 @@
 import { LitElement, html, nothing } from 'lit';
 import { ifDefined } from 'lit/directives/if-defined.js';
 import { messageStyles } from './styles.js';
-import { sleep, createQueue, waitWithPause } from './utils.js';
+import { sleep, createQueue, createPriorityQueue, waitWithPause } from './utils.js';
+import { runAnimation, playAnimation, supportsWebAnimations } from './animations.js';
+
+export { registerAnimation } from './animations.js';
 
 /**
- * @typedef {'fade' | 'collapse' | 'slide-up' | 'slide-down' | 'scale' | 'flip' | 'blink'} AnimationType
+ * @typedef {'fade' | 'collapse' | 'slide-up' | 'slide-down' | 'scale' | 'flip' | 'blink' | string} AnimationType
+ *   Built-in or registered with `registerAnimation()` (see `animations.js`).
  * @typedef {'none' | 'visibility' | 'opacity'} DisplayStrategy
+ * @typedef {'drop-oldest' | 'drop-newest' | 'drop-lowest'} OverflowPolicy
+ *
+ * @typedef {Object} Notification
+ * @property {string} [id] - Identical ids (or identical string contents) are shown once.
+ * @property {number | keyof typeof NOTIFICATION_PRIORITIES} [priority='info'] - Higher first; a higher one preempts the shown one.
+ * @property {number} [duration] - Visible time in ms (default: `duration` of the element).
+ * @property {unknown} [content] - Rendered instead of the slotted content (string, TemplateResult, Node).
+ *
+ * @typedef {'timeout' | 'hidden' | 'dequeued' | 'cleared' | 'overflow'} NotificationEndReason
  */
 
+/** Named priorities of `enqueue()`. */
+export const NOTIFICATION_PRIORITIES = { info: 0, success: 1, warning: 2, error: 3 };
+
+let notificationIds = 0;
+
+/**
+ * Shows its slotted content for `duration` ms, with an enter/leave animation.
+ *
+ * Animations run on the Web Animations API: `hide()` resolves when the exit animation has
+ * finished, a `show()` during the exit reverses it from where it is, and
+ * `prefers-reduced-motion` switches to a plain fade. Without the API, CSS classes animate
+ * the built-in animations.
+ *
+ * `show()` uses a single slot: it interrupts what is shown, or with `queue` waits in a FIFO.
+ *
+ * `enqueue()` is a notification queue next to it: items wait by priority (an `error` preempts
+ * a shown `info`, which goes back to the front of the queue), identical items are shown once,
+ * and `maxQueueLength` + `overflow` limit the waiting items. Lifecycle events (bubbling,
+ * composed, `detail: { item, reason }`):
+ * - `notification-queued`: waiting (again, `reason: 'preempted'`);
+ * - `notification-show`: became visible;
+ * - `notification-hide`: done (`reason: 'timeout'`, `'hidden'` by `hide()`/`show()`, `'preempted'`);
+ * - `notification-removed`: left without finishing (`reason: 'dequeued' | 'cleared' | 'overflow'`).
+ */
 export class AnimatedDisplay extends LitElement {
   static properties = {
     delay: { type: Number },
@@ -25,7 +62,10 @@ export class AnimatedDisplay extends LitElement {
     displayStrategy: { type: String },
     blinkCount: { type: Number },
     blinkSpeed: { type: Number },
+    maxQueueLength: { type: Number },
+    overflow: { type: String },
     _visible: { state: true },
+    _notification: { state: true },
     _isPaused: { state: true, attribute: 'paused', reflect: true },
     _isHiding: { state: true, attribute: 'hiding', reflect: true },
     _displayVisible: { state: true },
@@ -48,14 +88,22 @@ export class AnimatedDisplay extends LitElement {
     this.displayStrategy = 'none';
     this.blinkCount = 3;
     this.blinkSpeed = 150;
+    this.maxQueueLength = Infinity;
+    /** @type {OverflowPolicy} */
+    this.overflow = 'drop-lowest';
     this._visible = false;
     this._displayVisible = false;
     this._isHiding = false;
     this._queueManager = createQueue();
     this._current = null;
+    this._leaving = null;
     this._hovered = false;
     this._hasShown = false;
     this._isPaused = false;
+    this._runId = 0;
+    this._notifications = createPriorityQueue();
+    this._notification = null;
+    this._pumping = false;
   }
 
   static styles = [messageStyles];
@@ -86,19 +134,110 @@ export class AnimatedDisplay extends LitElement {
     return action();
   }
 
+  /**
+   * @returns {Promise<boolean>} Resolves after the exit animation; false if a `show()` reversed it.
+   */
   hide() {
-    this._interrupt();
+    this._cancelRun();
+    this._queueManager.clear();
     this.dispatchEvent(new CustomEvent('hide-start', { bubbles: true, composed: true }));
-    this._visible = false;
-    this._displayVisible = false;
-    this._isHiding = false;
-    this._current = null;
+    return this._leave();
   }
 
   reset() {
     this._hasShown = false;
   }
 
+  /**
+   * @param {Notification} notification
+   * @returns {Promise<NotificationEndReason>} Resolves when the item is done or removed.
+   */
+  enqueue(notification = {}) {
+    const { id, priority = 'info', content } = notification;
+    const dedupeKey = id ?? (typeof content === 'string' ? content : undefined);
+    const item = {
+      ...notification,
+      id: dedupeKey ?? `notification-${++notificationIds}`,
+      priority: typeof priority === 'number' ? priority : (NOTIFICATION_PRIORITIES[priority] ?? 0),
+    };
+
+    const duplicate = [this._notification, ...this._notifications.items]
+      .find(record => record && record.item.id === item.id);
+    if (duplicate) {
+      // Already waiting/shown: keep one, but let a repeated error raise its priority
+      if (item.priority > duplicate.item.priority && duplicate !== this._notification) {
+        duplicate.item.priority = duplicate.priority = item.priority;
+        this._notifications.update();
+      }
+      return duplicate.promise;
+    }
+
+    const record = { item, priority: item.priority };
+    record.promise = new Promise(resolve => (record.resolve = resolve));
+
+    this._notifications.setOptions({ maxLength: this.maxQueueLength, overflow: this.overflow });
+    const dropped = this._notifications.push(record);
+    if (!dropped.includes(record)) this._dispatchNotification('notification-queued', record);
+    dropped.forEach(entry => this._endNotification(entry, 'notification-removed', 'overflow'));
+
+    const current = this._notification;
+    if (current && record.priority > current.priority && !dropped.includes(record)) {
+      this._notification = null;
+      current.preempted = true;
+      this._stopRun();
+      this._dispatchNotification('notification-hide', current, 'preempted');
+      this._notifications.push(current, { front: true }).forEach(entry => (
+        this._endNotification(entry, 'notification-removed', 'overflow')
+      ));
+      if (this._notifications.items.includes(current)) {
+        this._dispatchNotification('notification-queued', current, 'preempted');
+      }
+    }
+
+    this._pumpNotifications();
+    return record.promise;
+  }
+
+  /**
+   * Removes a waiting or shown notification.
+   *
+   * @param {string} id
+   * @returns {boolean} Whether it was found.
+   */
+  dequeue(id) {
+    return this._removeNotifications(item => item.id === id, 'dequeued') > 0;
+  }
+
+  /**
+   * Removes waiting notifications (and the shown one) that match `filter`, all without it.
+   *
+   * @param {(item: Notification) => boolean} [filter]
+   * @returns {number} Number of removed notifications.
+   */
+  clear(filter = () => true) {
+    return this._removeNotifications(filter, 'cleared');
+  }
+
+  /**
+   * Waiting notifications, in the order they will be shown.
+   * @returns {Notification[]}
+   */
+  get queuedNotifications() {
+    return this._notifications.items.map(record => record.item);
+  }
+
+  _removeNotifications(filter, reason) {
+    const removed = this._notifications.remove(record => filter(record.item));
+    const current = this._notification;
+    if (current && filter(current.item)) {
+      this._notification = null;
+      this._stopRun();
+      removed.unshift(current);
+    }
+    removed.forEach(record => this._endNotification(record, 'notification-removed', reason));
+    return removed.length;
+  }
+
   pause() {
     this._isPaused = true;
   }
@@ -110,7 +249,9 @@ export class AnimatedDisplay extends LitElement {
   async updateContent({ restartTimer = false, replayAnimation = false } = {}) {
     if (!this._visible) return;
 
-    if (replayAnimation) {
+    if (replayAnimation && supportsWebAnimations()) {
+      this._animate('enter', { restart: true });
+    } else if (replayAnimation) {
       this._visible = false;
       await this.updateComplete;
       requestAnimationFrame(() => {
@@ -126,68 +267,169 @@ export class AnimatedDisplay extends LitElement {
     }
   }
 
-  async _run(startPaused = false) {
-    if (this._visible || this._isHiding) return;
-
-    const minVisibleTime = this.transitionDuration + 100;
-    if (this.duration < minVisibleTime) {
-      this.duration = minVisibleTime;
+  async _pumpNotifications() {
+    if (this._pumping) return;
+    this._pumping = true;
+
+    while (this._notifications.size) {
+      // show() has the slot (it interrupted or runs before us), or hide() is animating out
+      while (this._current || this._leaving) await (this._current ?? this._leaving);
+      const record = this._notifications.shift();
+      if (!record) break;
+
+      this._notification = record;
+      this._dispatchNotification('notification-show', record);
+      const completed = await this._run(false, record.item.duration ?? this.duration);
+      // Hidden by hide(): keep the content until it has animated out
+      if (!completed && this._notification === record) await this._leaving;
+
+      // Preempted or removed meanwhile: already reported
+      if (this._notification === record) {
+        this._notification = null;
+        this._endNotification(record, 'notification-hide', completed ? 'timeout' : 'hidden');
+      }
+      if (!record.preempted && this._notifications.size && this.gapBetween) {
+        await sleep(this.gapBetween);
+      }
+      record.preempted = false;
     }
 
+    this._pumping = false;
+  }
+
+  _dispatchNotification(type, record, reason) {
+    this.dispatchEvent(new CustomEvent(type, {
+      bubbles: true,
+      composed: true,
+      detail: { item: record.item, reason },
+    }));
+  }
+
+  _endNotification(record, type, reason) {
+    this._dispatchNotification(type, record, reason);
+    record.resolve(reason);
+  }
+
+  async _run(startPaused = false, duration = this.duration) {
+    if (this._visible || this._isHiding) return false;
+
+    const visibleTime = Math.max(duration, this.transitionDuration + 100);
+    const runId = ++this._runId;
+    const cancelled = () => runId !== this._runId;
+
     this._hasShown = true;
     this._isPaused = startPaused;
     this.dispatchEvent(new CustomEvent('show-start', { bubbles: true, composed: true }));
     this._current = new Promise(async resolve => {
       if (this.delay) await sleep(this.delay);
+      if (cancelled()) return resolve(false);
 
       this._displayVisible = true;
       this._visible = true;
+      await this.updateComplete;
+      if (cancelled()) return resolve(false);
 
-      if (this.animation === 'blink') {
-        const totalBlinkTime = (this.blinkCount * 2) * this.blinkSpeed;
-        await sleep(totalBlinkTime);
-      }
+      const entering = this._animate('enter');
+      // The visible time starts after the blinking
+      if (this.animation === 'blink') await entering;
 
       await waitWithPause({
-        duration: this.duration,
+        duration: visibleTime,
         isPaused: () =>
           this._isPaused ||
           (this.interactive && this._hovered) ||
           (this.keepAliveWhileHovered && this._hovered),
+        isCancelled: cancelled,
       });
+      if (cancelled()) return resolve(false);
 
-      this._isHiding = true;
       this.dispatchEvent(new CustomEvent('hide-start', { bubbles: true, composed: true }));
-      this._visible = false;
-      await sleep(this.transitionDuration);
+      const left = await this._leave();
+      if (!left || cancelled()) return resolve(false);
 
-      this._isHiding = false;
-      this._displayVisible = false;
       this.dispatchEvent(new CustomEvent('hide-end', { bubbles: true, composed: true }));
-      resolve();
+      resolve(true);
 
       if (this.queue && this.gapBetween) {
         await sleep(this.gapBetween);
       }
 
-      this._current = null;
+      if (!cancelled()) this._current = null;
     });
 
     return this._current;
   }
 
   _interrupt() {
+    this._stopRun();
+    this._queueManager.clear();
+  }
+
+  // Stops the running show/hide (its promise resolves with false) and hides at once
+  _stopRun() {
+    this._cancelRun();
     this._visible = false;
-    this._isHiding = false;
     this._displayVisible = false;
-    this._queueManager.clear();
+  }
+
+  _cancelRun() {
+    this._runId++;
+    this._isHiding = false;
     this._current = null;
+    this._leaving = null;
     this._isPaused = false;
   }
 
+  // Plays the exit animation, then takes the element out of the layout.
+  // Resolves with false if a show() reversed the animation meanwhile.
+  _leave() {
+    if (!this._displayVisible) {
+      this._visible = false;
+      return Promise.resolve(true);
+    }
+
+    const runId = this._runId;
+    this._isHiding = true;
+    this._visible = false;
+    const leaving = this._animate('exit').then(finished => {
+      if (this._leaving === leaving) this._leaving = null;
+      if (!finished || runId !== this._runId) return false;
+      this._isHiding = false;
+      this._displayVisible = false;
+      return true;
+    });
+    this._leaving = leaving;
+    return leaving;
+  }
+
+  /**
+   * @param {import('./animations.js').AnimationDirection} direction
+   * @param {{ restart?: boolean }} [options]
+   * @returns {Promise<boolean>} False if cancelled or reversed before finishing.
+   */
+  async _animate(direction, { restart = false } = {}) {
+    const wrapper = this.renderRoot?.querySelector('.wrapper');
+    if (!wrapper || !supportsWebAnimations()) {
+      // The CSS classes animate; wait as long as they take
+      const blinking = direction === 'enter' && this.animation === 'blink';
+      await sleep(blinking ? (this.blinkCount * 2) * this.blinkSpeed : this.transitionDuration);
+      return true;
+    }
+
+    const options = { host: this, duration: this.transitionDuration, easing: this.easing, restart };
+    if (restart) {
+      playAnimation(wrapper, this.animation, direction, options);
+      return true;
+    }
+    return runAnimation(wrapper, this.animation, direction, options);
+  }
+
   render() {
+    // Without the Web Animations API the CSS classes animate (built-in animations only)
     const validAnimations = ['fade', 'collapse', 'slide-up', 'slide-down', 'scale', 'flip', 'blink'];
-    const anim = validAnimations.includes(this.animation) ? this.animation : 'fade';
+    const anim = supportsWebAnimations()
+      ? 'waapi'
+      : validAnimations.includes(this.animation) ? this.animation : 'fade';
 
     const hiddenClass = this.displayStrategy === 'none'
       ? (!this._displayVisible ? 'hidden' : '')
@@ -219,7 +461,7 @@ export class AnimatedDisplay extends LitElement {
         @focusin=${() => (this._hovered = true)}
         @focusout=${() => (this._hovered = false)}
       >
-        <slot></slot>
+        ${this._notification?.item.content !== undefined ? this._notification.item.content : html`<slot></slot>`}
       </div>
     `;
   }
@@ -0,0 +1,302 @@
+import { LitElement, html } from 'lit';
+import { repeat } from 'lit/directives/repeat.js';
+import { ifDefined } from 'lit/directives/if-defined.js';
+import { toastStackStyles } from './styles.js';
+import { createPriorityQueue, sleep } from './utils.js';
+import { NOTIFICATION_PRIORITIES } from './AnimatedDisplay.js';
+
+/**
+ * @typedef {'top-start' | 'top-end' | 'bottom-start' | 'bottom-end'} ToastPosition
+ *
+ * @typedef {import('./AnimatedDisplay.js').Notification & {
+ *   animation?: import('./AnimatedDisplay.js').AnimationType,
+ *   interactive?: boolean,
+ * }} Toast
+ * - `interactive`: has buttons/links; reachable with the hotkey, stays while hovered or focused.
+ */
+
+let toastIds = 0;
+
+/**
+ * <toast-stack> component
+ * A stack of `animated-display` toasts in a corner of the viewport.
+ *
+ * Every toast is its own `animated-display` (its `animation`, `duration`, `keepAliveWhileHovered`
+ * and `notification-*` events); `warning`/`error` toasts are announced assertively (`role="alert"`),
+ * the others politely (`role="status"`). At most `maxVisible` toasts are shown, the rest wait by
+ * priority; a leaving toast collapses and the stack closes the gap.
+ *
+ * Focus: `hotkey` (default `Alt+T`) or `focusToasts()` moves focus into the newest interactive
+ * toast, Escape dismisses the focused toast, and when a focused toast leaves, focus moves to the
+ * next one or back to where it was before.
+ *
+ * @fires notification-queued / notification-show / notification-hide / notification-removed - From the toasts.
+ */
+export class ToastStack extends LitElement {
+  static properties = {
+    position: { type: String, reflect: true },
+    maxVisible: { type: Number },
+    animation: { type: String },
+    duration: { type: Number },
+    transitionDuration: { type: Number },
+    keepAliveWhileHovered: { type: Boolean },
+    label: { type: String },
+    hotkey: { type: String },
+    _toasts: { state: true },
+  };
+
+  constructor() {
+    super();
+    /** @type {ToastPosition} */
+    this.position = 'bottom-end';
+    this.maxVisible = 3;
+    this.animation = 'slide-up';
+    this.duration = 5000;
+    this.transitionDuration = 300;
+    this.keepAliveWhileHovered = true;
+    this.label = 'Notifications';
+    this.hotkey = 'Alt+T';
+    this._toasts = [];
+    this._waiting = createPriorityQueue();
+    this._returnFocus = null;
+    this._focusedRecord = null;
+  }
+
+  static styles = [toastStackStyles];
+
+  connectedCallback() {
+    super.connectedCallback();
+    document.addEventListener('keydown', this._onHotkey);
+    // Toasts that waited while the stack was detached
+    this._fill();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    document.removeEventListener('keydown', this._onHotkey);
+  }
+
+  /**
+   * @param {Toast | string} toast
+   * @returns {Promise<import('./AnimatedDisplay.js').NotificationEndReason>} Resolves when the toast has left.
+   */
+  notify(toast) {
+    const options = typeof toast === 'string' ? { content: toast } : toast;
+    const { id, priority = 'info', content } = options;
+    const item = {
+      ...options,
+      id: id ?? (typeof content === 'string' ? content : `toast-${++toastIds}`),
+      priority: typeof priority === 'number' ? priority : (NOTIFICATION_PRIORITIES[priority] ?? 0),
+    };
+
+    const duplicate = [...this._toasts.filter(record => !record.leaving), ...this._waiting.items]
+      .find(record => record.item.id === item.id);
+    if (duplicate) return duplicate.promise;
+
+    const record = { item, priority: item.priority, leaving: false, enqueued: false, removed: false };
+    record.promise = new Promise(resolve => (record.resolve = resolve));
+    this._waiting.push(record);
+    this._fill();
+    return record.promise;
+  }
+
+  /**
+   * Dismisses a shown or waiting toast.
+   *
+   * @param {string} id
+   * @returns {boolean} Whether it was found.
+   */
+  dismiss(id) {
+    return this._remove(item => item.id === id, 'dequeued') > 0;
+  }
+
+  /**
+   * Dismisses the shown and waiting toasts that match `filter`, all without it.
+   *
+   * @param {(item: Toast) => boolean} [filter]
+   * @returns {number}
+   */
+  clear(filter = () => true) {
+    return this._remove(filter, 'cleared');
+  }
+
+  /**
+   * Moves focus to the newest interactive toast.
+   *
+   * @returns {boolean} Whether there was one.
+   */
+  focusToasts() {
+    const target = [...this._toasts].reverse().find(record => !record.leaving && record.item.interactive);
+    const el = target && this._toastElementOf(target);
+    if (!el) return false;
+    el.focus();
+    return true;
+  }
+
+  _remove(filter, reason) {
+    const waiting = this._waiting.remove(record => filter(record.item));
+    waiting.forEach(record => record.resolve(reason));
+
+    const shown = this._toasts.filter(record => !record.leaving && filter(record.item));
+    shown.forEach(record => {
+      const display = this._displayOf(record);
+      if (!record.enqueued || !display) {
+        // Not handed to its display yet: _fill() skips it
+        record.removed = true;
+        this._toasts = this._toasts.filter(other => other !== record);
+        record.resolve(reason);
+      } else if (reason === 'dequeued') {
+        // The display reports the reason back through its enqueue() promise
+        display.dequeue(record.item.id);
+      } else {
+        display.clear();
+      }
+    });
+    return waiting.length + shown.length;
+  }
+
+  async _fill() {
+    while (this._waiting.size && this._toasts.filter(record => !record.leaving).length < this.maxVisible) {
+      const record = this._waiting.shift();
+      this._toasts = [...this._toasts, record];
+      await this.updateComplete;
+      if (record.removed) continue;
+
+      const display = this._displayOf(record);
+      if (!display) {
+        // Detached meanwhile: wait again, connectedCallback() fills the stack
+        this._toasts = this._toasts.filter(other => other !== record);
+        this._waiting.push(record, { front: true });
+        return;
+      }
+      record.enqueued = true;
+      display.enqueue(record.item).then(reason => this._leave(record, reason));
+    }
+  }
+
+  async _leave(record, reason) {
+    const hadFocus = this._focusedRecord === record;
+    record.leaving = true;
+    this.requestUpdate();
+
+    if (hadFocus) {
+      this._focusedRecord = null;
+      const next = this._toasts.find(other => !other.leaving && other.item.interactive);
+      if (next) this._toastElementOf(next)?.focus();
+      else this._restoreFocus();
+    }
+
+    await sleep(this.transitionDuration);
+    this._toasts = this._toasts.filter(other => other !== record);
+    record.resolve(reason);
+    this._fill();
+  }
+
+  _restoreFocus() {
+    const target = this._returnFocus;
+    this._returnFocus = null;
+    if (target?.isConnected) target.focus();
+  }
+
+  _displayOf(record) {
+    return this._toastElementOf(record)?.querySelector('animated-display');
+  }
+
+  _toastElementOf(record) {
+    return [...this.renderRoot.querySelectorAll('.toast')].find(el => el.toastRecord === record);
+  }
+
+  _onHotkey = (e) => {
+    if (!this.hotkey || !matchesHotkey(e, this.hotkey)) return;
+    if (this.focusToasts()) e.preventDefault();
+  };
+
+  _onFocusIn(e) {
+    this._focusedRecord = e.composedPath().find(el => el.toastRecord)?.toastRecord ?? null;
+    // Remember where focus came from (outside the stack) to return it later
+    if (!this._returnFocus && e.relatedTarget && !this.renderRoot.contains(e.relatedTarget)) {
+      this._returnFocus = e.relatedTarget;
+    }
+  }
+
+  _onFocusOut(e) {
+    // Focus left the stack (a hidden toast may drop focus without a relatedTarget, keep the state then)
+    if (e.relatedTarget && !this.renderRoot.contains(e.relatedTarget)) {
+      this._focusedRecord = null;
+      this._returnFocus = null;
+    }
+  }
+
+  _onKeyDown(e, record) {
+    if (e.key !== 'Escape') return;
+    e.stopPropagation();
+    this.dismiss(record.item.id);
+  }
+
+  render() {
+    this.style.setProperty('--animated-display-transition', `${this.transitionDuration}ms ease`);
+
+    return html`
+      <section
+        aria-label=${this.label}
+        @focusin=${this._onFocusIn}
+        @focusout=${this._onFocusOut}
+      >
+        ${repeat(this._toasts, record => record, record => {
+          const { item } = record;
+          const urgent = item.priority >= NOTIFICATION_PRIORITIES.warning;
+          return html`
+            <div
+              class="toast ${record.leaving ? 'leaving' : ''}"
+              part="toast"
+              tabindex=${ifDefined(item.interactive ? '-1' : undefined)}
+              .toastRecord=${record}
+              @keydown=${(e) => this._onKeyDown(e, record)}
+            >
+              <animated-display
+                .animation=${item.animation ?? this.animation}
+                .duration=${item.duration ?? this.duration}
+                .transitionDuration=${this.transitionDuration}
+                .keepAliveWhileHovered=${this.keepAliveWhileHovered}
+                .interactive=${Boolean(item.interactive)}
+                .ariaRole=${urgent ? 'alert' : 'status'}
+                .ariaLive=${urgent ? 'assertive' : 'polite'}
+                .gapBetween=${0}
+              ></animated-display>
+            </div>
+          `;
+        })}
+      </section>
+    `;
+  }
+}
+
+/**
+ * @param {KeyboardEvent} e
+ * @param {string} hotkey - e.g. `'Alt+T'`, `'Ctrl+Shift+N'`.
+ * @returns {boolean}
+ */
+function matchesHotkey(e, hotkey) {
+  const parts = hotkey.toLowerCase().split('+').map(part => part.trim());
+  const key = parts.pop();
+  // e.code too: with Alt, macOS reports another character in e.key
+  return (e.key?.toLowerCase() === key || e.code?.toLowerCase() === `key${key}`) &&
+    e.altKey === parts.includes('alt') &&
+    e.ctrlKey === parts.includes('ctrl') &&
+    e.shiftKey === parts.includes('shift') &&
+    e.metaKey === parts.includes('meta');
+}
+
+customElements.define('toast-stack', ToastStack);
+
+/**
+ * Shows a toast in the page's `<toast-stack>`; one is added to `<body>` on first use.
+ *
+ * @param {Toast | string} toast
+ * @returns {Promise<import('./AnimatedDisplay.js').NotificationEndReason>}
+ */
+export function notify(toast) {
+  const stack = document.querySelector('toast-stack') ??
+    document.body.appendChild(document.createElement('toast-stack'));
+  return stack.notify(toast);
+}
@@ -0,0 +1,192 @@
+/**
+ * Web Animations engine of `animated-display`.
+ *
+ * An animation is a named pair of keyframe sets: `enter` plays when the element shows,
+ * `exit` when it hides (default: `enter` backwards). Switching direction while one is running
+ * reverses the running animation from where it is, so hide → show mid-way doesn't jump.
+ * With `prefers-reduced-motion: reduce` the `reducedMotion` variant plays instead
+ * (default: a plain opacity fade).
+ *
+ * ```js
+ * registerAnimation('drop-in', {
+ *   enter: [{ transform: 'translateY(-100%)', opacity: 0 }, { transform: 'none', opacity: 1 }],
+ *   exit: [{ opacity: 1 }, { opacity: 0 }],
+ *   timing: { easing: 'cubic-bezier(.2, .8, .2, 1.2)' },
+ * });
+ * ```
+ * `<animated-display animation="drop-in">` then uses it.
+ */
+
+/**
+ * @typedef {Keyframe[] | PropertyIndexedKeyframes} Keyframes
+ * @typedef {Keyframes | ((el: HTMLElement, host: HTMLElement) => Keyframes)} KeyframeSet
+ *   A function gets the animated element and its host (e.g. to measure its height).
+ *
+ * @typedef {Object} AnimationDefinition
+ * @property {KeyframeSet} enter
+ * @property {KeyframeSet} [exit] - Default: `enter` played backwards.
+ * @property {KeyframeAnimationOptions | ((host: HTMLElement, direction: AnimationDirection) => KeyframeAnimationOptions)} [timing]
+ *   Overrides the host's duration/easing (e.g. `iterations`).
+ * @property {AnimationDefinition} [reducedMotion] - Played with `prefers-reduced-motion: reduce`.
+ *
+ * @typedef {'enter' | 'exit'} AnimationDirection
+ *
+ * @typedef {Object} AnimationState
+ * @property {Animation} animation
+ * @property {AnimationDirection} direction - Direction it plays now (changes when reversed).
+ */
+
+const REDUCED_MOTION = {
+  enter: [{ opacity: 0 }, { opacity: 1 }],
+};
+
+/** @type {Map<string, AnimationDefinition>} */
+const animations = new Map();
+
+/** @type {WeakMap<Element, AnimationState>} */
+const runningStates = new WeakMap();
+
+/**
+ * Registers (or overwrites) an animation for every `animated-display`.
+ *
+ * @param {string} name
+ * @param {AnimationDefinition} definition
+ */
+export function registerAnimation(name, definition) {
+  if (!definition?.enter) {
+    throw new Error(`Animation "${name}" needs enter keyframes`);
+  }
+  if (animations.has(name)) {
+    console.warn(`[animated-display] Animation "${name}" will be overwritten.`);
+  }
+  animations.set(name, definition);
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function hasAnimation(name) {
+  return animations.has(name);
+}
+
+/**
+ * @returns {boolean} Whether the browser runs the Web Animations API.
+ */
+export function supportsWebAnimations() {
+  return typeof Element !== 'undefined' && typeof Element.prototype.animate === 'function';
+}
+
+/**
+ * @returns {boolean}
+ */
+export function prefersReducedMotion() {
+  return typeof matchMedia === 'function' && matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Plays the `direction` of animation `name` on `el`. A running animation of the other
+ * direction is reversed in place; one of the same direction keeps running.
+ *
+ * @param {HTMLElement} el
+ * @param {string} name - Unknown names play `'fade'`.
+ * @param {AnimationDirection} direction
+ * @param {Object} [options]
+ * @param {HTMLElement} [options.host=el] - Passed to keyframe and timing functions.
+ * @param {number} [options.duration]
+ * @param {string} [options.easing]
+ * @param {boolean} [options.restart] - Start over even if the same direction is running.
+ * @returns {AnimationState}
+ */
+export function playAnimation(el, name, direction, { host = el, duration, easing, restart = false } = {}) {
+  const running = runningStates.get(el);
+  if (running && !restart && running.animation.playState === 'running') {
+    if (running.direction !== direction) {
+      running.animation.reverse();
+      running.direction = direction;
+    }
+    return running;
+  }
+  running?.animation.cancel();
+
+  let definition = animations.get(name) ?? animations.get('fade');
+  if (prefersReducedMotion()) definition = definition.reducedMotion ?? REDUCED_MOTION;
+
+  const timing = {
+    duration,
+    easing,
+    fill: 'both',
+    ...(typeof definition.timing === 'function' ? definition.timing(host, direction) : definition.timing),
+  };
+  const keyframesOf = set => (typeof set === 'function' ? set(el, host) : set);
+
+  const animation = direction === 'exit' && definition.exit
+    ? el.animate(keyframesOf(definition.exit), timing)
+    : el.animate(keyframesOf(definition.enter), {
+      ...timing,
+      direction: direction === 'exit' ? 'reverse' : 'normal',
+    });
+
+  const state = { animation, direction };
+  runningStates.set(el, state);
+  return state;
+}
+
+/**
+ * Plays like `playAnimation()` and waits for it.
+ *
+ * @param {HTMLElement} el
+ * @param {string} name
+ * @param {AnimationDirection} direction
+ * @param {Parameters<typeof playAnimation>[3]} [options]
+ * @returns {Promise<boolean>} False if it was cancelled or reversed before finishing.
+ */
+export async function runAnimation(el, name, direction, options) {
+  const state = playAnimation(el, name, direction, options);
+  try {
+    await state.animation.finished;
+  } catch {
+    return false; // cancelled
+  }
+  return state.direction === direction && runningStates.get(el) === state;
+}
+
+registerAnimation('fade', {
+  enter: [{ opacity: 0 }, { opacity: 1 }],
+});
+
+registerAnimation('collapse', {
+  enter: el => [
+    { height: '0px', opacity: 0, overflow: 'hidden' },
+    { height: `${el.scrollHeight}px`, opacity: 1, overflow: 'hidden' },
+  ],
+});
+
+registerAnimation('slide-up', {
+  enter: [{ opacity: 0, transform: 'translateY(10px)' }, { opacity: 1, transform: 'translateY(0)' }],
+});
+
+registerAnimation('slide-down', {
+  enter: [{ opacity: 0, transform: 'translateY(-10px)' }, { opacity: 1, transform: 'translateY(0)' }],
+});
+
+registerAnimation('scale', {
+  enter: [{ opacity: 0, transform: 'scale(0.9)' }, { opacity: 1, transform: 'scale(1)' }],
+});
+
+registerAnimation('flip', {
+  enter: [
+    { opacity: 0, transform: 'rotateX(90deg)', transformOrigin: 'top' },
+    { opacity: 1, transform: 'rotateX(0deg)', transformOrigin: 'top' },
+  ],
+});
+
+registerAnimation('blink', {
+  enter: [{ opacity: 1 }, { opacity: 0 }, { opacity: 1 }],
+  exit: [{ opacity: 1 }, { opacity: 0 }],
+  // Blinks on enter only; the exit is a normal fade
+  timing: (host, direction) => (direction === 'enter'
+    ? { duration: host.blinkSpeed * 2, iterations: host.blinkCount }
+    : {}),
+  reducedMotion: REDUCED_MOTION,
+});
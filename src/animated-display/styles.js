@@ -12,6 +12,12 @@ export const messageStyles = css`
     pointer-events: auto;
   }
 
+  /* Web Animations engine: the animations (fill: both) set opacity/transform */
+  .wrapper.waapi {
+    opacity: 1;
+    transition: none;
+  }
+
   .wrapper.fade {
     transition: opacity var(--animated-display-transition, 400ms ease);
   }
@@ -83,4 +89,59 @@ export const messageStyles = css`
   .invisible {
     visibility: hidden;
   }
-`;
\ No newline at end of file
+`;
+
+export const toastStackStyles = css`
+  :host {
+    position: fixed;
+    z-index: var(--toast-stack-z-index, 1000);
+    display: flex;
+    flex-direction: column;
+    width: min(var(--toast-stack-width, 360px), calc(100vw - 2 * var(--toast-stack-offset, 16px)));
+    pointer-events: none;
+  }
+
+  :host([position^="top"]) {
+    top: var(--toast-stack-offset, 16px);
+    /* Newest toast next to the edge */
+    flex-direction: column-reverse;
+  }
+
+  :host([position^="bottom"]) {
+    bottom: var(--toast-stack-offset, 16px);
+  }
+
+  :host([position$="start"]) {
+    inset-inline-start: var(--toast-stack-offset, 16px);
+  }
+
+  :host([position$="end"]) {
+    inset-inline-end: var(--toast-stack-offset, 16px);
+  }
+
+  .toast {
+    display: grid;
+    grid-template-rows: 1fr;
+    margin-block: calc(var(--toast-stack-gap, 8px) / 2);
+    transition:
+      grid-template-rows var(--animated-display-transition, 300ms ease),
+      margin var(--animated-display-transition, 300ms ease);
+    pointer-events: auto;
+  }
+
+  .toast.leaving {
+    grid-template-rows: 0fr;
+    margin-block: 0;
+    pointer-events: none;
+  }
+
+  .toast > animated-display {
+    min-height: 0;
+    overflow: hidden;
+  }
+
+  .toast:focus-visible {
+    outline: 2px solid var(--toast-stack-focus-color, Highlight);
+    outline-offset: 2px;
+  }
+`;
@@ -36,18 +36,96 @@ export function sleep(ms) {
     };
   }
   
+  /**
+   * Очередь с приоритетами: выше приоритет — раньше, при равном — в порядке добавления.
+   * При переполнении `push()` возвращает вытесненные элементы (может быть и сам новый).
+   *
+   * @template {{ priority: number }} T
+   * @param {Object} [options]
+   * @param {number} [options.maxLength=Infinity]
+   * @param {'drop-oldest' | 'drop-newest' | 'drop-lowest'} [options.overflow='drop-lowest']
+   */
+  export function createPriorityQueue({ maxLength = Infinity, overflow = 'drop-lowest' } = {}) {
+    /** @type {Array<{ value: T, seq: number }>} */
+    let entries = [];
+    let seq = 0;
+    let frontSeq = 0;
+
+    const sort = () => entries.sort((a, b) => b.value.priority - a.value.priority || a.seq - b.seq);
+
+    function pickOverflow() {
+      if (overflow === 'drop-newest') return entries.reduce((a, b) => (b.seq > a.seq ? b : a));
+      if (overflow === 'drop-oldest') return entries.reduce((a, b) => (b.seq < a.seq ? b : a));
+      // drop-lowest: самый низкий приоритет, из равных — самый новый
+      return entries.reduce((a, b) => (
+        b.value.priority < a.value.priority || (b.value.priority === a.value.priority && b.seq > a.seq) ? b : a
+      ));
+    }
+
+    return {
+      get size() {
+        return entries.length;
+      },
+      /** @returns {T[]} В порядке показа */
+      get items() {
+        return entries.map(entry => entry.value);
+      },
+      /** @param {{ maxLength?: number, overflow?: string }} options */
+      setOptions(options) {
+        maxLength = options.maxLength ?? maxLength;
+        overflow = options.overflow ?? overflow;
+      },
+      /**
+       * @param {T} value
+       * @param {{ front?: boolean }} [options] - `front`: первым среди равных по приоритету (возврат в очередь)
+       * @returns {T[]} Вытесненные элементы
+       */
+      push(value, { front = false } = {}) {
+        entries.push({ value, seq: front ? --frontSeq : seq++ });
+        const dropped = [];
+        while (entries.length > Math.max(0, maxLength)) {
+          const entry = pickOverflow();
+          entries = entries.filter(e => e !== entry);
+          dropped.push(entry.value);
+        }
+        sort();
+        return dropped;
+      },
+      /** @returns {T | undefined} */
+      shift() {
+        return entries.shift()?.value;
+      },
+      /** @param {(value: T) => boolean} predicate */
+      find(predicate) {
+        return entries.find(entry => predicate(entry.value))?.value;
+      },
+      /**
+       * @param {(value: T) => boolean} predicate
+       * @returns {T[]} Удалённые элементы
+       */
+      remove(predicate) {
+        const removed = entries.filter(entry => predicate(entry.value));
+        entries = entries.filter(entry => !removed.includes(entry));
+        return removed.map(entry => entry.value);
+      },
+      /** Пересортировать после изменения приоритета элемента */
+      update: sort,
+    };
+  }
+
   /**
    * Ожидание с возможностью паузы
    * @param {Object} options
    * @param {number} options.duration
    * @param {() => boolean} options.isPaused
+   * @param {() => boolean} [options.isCancelled] - Прервать ожидание досрочно
    * @returns {Promise<void>}
    */
-  export async function waitWithPause({ duration, isPaused }) {
+  export async function waitWithPause({ duration, isPaused, isCancelled = () => false }) {
     const interval = 50;
     let elapsed = 0;
   
-    while (elapsed < duration) {
+    while (elapsed < duration && !isCancelled()) {
       if (!isPaused()) {
         elapsed += interval;
       }
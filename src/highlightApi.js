@@ -0,0 +1,259 @@
+/**
+ * CSS Custom Highlight API backend.
+ *
+ * All ranges of one highlight name live in one shared `Highlight` object, but every
+ * caller owns its ranges under a stable owner key (an element or a string), so
+ * re-highlighting or disconnecting one target only replaces/removes its own ranges.
+ *
+ * Highlights are styled with `::highlight(<name>)`. The default styles are adopted
+ * into every document/shadow root that contains highlighted text, because
+ * `::highlight()` rules only apply inside the tree scope that declares them.
+ *
+ * Ranges created with their match (`createTextRange(node, start, end, match)`) are also
+ * put into a highlight per query term (`highlight-term-<n>`) and, unless exact, per match
+ * kind (`highlight-match-normalized`, `highlight-match-fuzzy`), painted above the default one
+ * with the custom properties of `matchStyles.js`.
+ */
+
+import { termBackground, TERM_COLOR_COUNT } from './matchStyles.js';
+
+export const DEFAULT_HIGHLIGHT_NAME = 'highlight-match';
+export const ACTIVE_HIGHLIGHT_NAME = 'highlight-match-active';
+
+/**
+ * @param {number} term
+ * @returns {string} Highlight name of the hits of the n-th query term.
+ */
+export const termHighlightName = term => `highlight-term-${term}`;
+
+/**
+ * @param {import('./matchCore.js').MatchKind} kind
+ * @returns {string} Highlight name of the hits of one match kind.
+ */
+export const kindHighlightName = kind => `highlight-match-${kind}`;
+
+const termHighlightRules = Array.from({ length: TERM_COLOR_COUNT }, (_, term) => `
+  ::highlight(${termHighlightName(term)}) {
+    background-color: ${termBackground(term)};
+  }
+`).join('');
+
+const highlightStyles = `
+  ::highlight(${DEFAULT_HIGHLIGHT_NAME}) {
+    background-color: var(--highlight-match-background, yellow);
+    color: var(--highlight-match-color, inherit);
+  }
+  ${termHighlightRules}
+  ::highlight(${kindHighlightName('normalized')}) {
+    background-color: var(--highlight-normalized-background, transparent);
+    text-decoration: var(--highlight-normalized-decoration, none);
+  }
+
+  ::highlight(${kindHighlightName('fuzzy')}) {
+    background-color: var(--highlight-fuzzy-background, transparent);
+    text-decoration: var(--highlight-fuzzy-decoration, underline dotted);
+  }
+
+  ::highlight(${ACTIVE_HIGHLIGHT_NAME}) {
+    background-color: var(--highlight-active-background, orange);
+  }
+`;
+
+/** Paint order: term colours over the default, match kinds over terms, the active hit on top. */
+const priorityOf = name => (
+  name === ACTIVE_HIGHLIGHT_NAME ? 3
+    : name.startsWith('highlight-match-') ? 2
+      : name.startsWith('highlight-term-') ? 1
+        : 0
+);
+
+/** @type {WeakMap<Range, { term: number, kind: import('./matchCore.js').MatchKind }>} */
+const rangeMatches = new WeakMap();
+
+/** @type {Map<unknown, Map<string, Range[]>>} owner → highlight name → ranges */
+const ownedRanges = new Map();
+/** @type {WeakMap<Document | ShadowRoot, Set<string>>} */
+const adoptedStyles = new WeakMap();
+const sheetCache = new Map();
+
+/**
+ * Checks if the browser supports the CSS Custom Highlight API.
+ * @returns {boolean}
+ */
+export function supportsHighlightAPI() {
+  return typeof Highlight !== 'undefined' &&
+    typeof CSS !== 'undefined' &&
+    'highlights' in CSS;
+}
+
+/**
+ * Adopts `cssText` into the document or shadow root that contains `node`, once per root.
+ *
+ * @param {Node} node
+ * @param {string} cssText
+ */
+export function adoptRootStyles(node, cssText) {
+  const root = node.getRootNode();
+  if (!('adoptedStyleSheets' in root)) return;
+
+  const adopted = adoptedStyles.get(root) ?? new Set();
+  if (adopted.has(cssText)) return;
+  adopted.add(cssText);
+  adoptedStyles.set(root, adopted);
+
+  if (!sheetCache.has(cssText)) {
+    const sheet = new CSSStyleSheet();
+    sheet.replaceSync(cssText);
+    sheetCache.set(cssText, sheet);
+  }
+  root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheetCache.get(cssText)];
+}
+
+/**
+ * Like `querySelectorAll`, but also searches inside open shadow roots.
+ *
+ * @param {Element | Document | ShadowRoot} root
+ * @param {string} selector
+ * @returns {Element[]}
+ */
+export function deepQuerySelectorAll(root, selector) {
+  const found = Array.from(root.querySelectorAll(selector));
+  root.querySelectorAll('*').forEach(el => {
+    if (el.shadowRoot) found.push(...deepQuerySelectorAll(el.shadowRoot, selector));
+  });
+  return found;
+}
+
+/**
+ * Collects non-empty text nodes under `root`, descending into open shadow roots.
+ * Text inside `<template>`, `<script>`, `<style>` and form controls (`<textarea>`, `<option>`) is skipped.
+ *
+ * @param {Element | Document | ShadowRoot} root
+ * @returns {Text[]}
+ */
+export function collectTextNodesDeep(root) {
+  const nodes = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.nodeType === Node.TEXT_NODE) {
+      if (node.data.trim() && !node.parentElement?.closest('template, script, style, textarea, option')) nodes.push(node);
+    } else if (node.shadowRoot) {
+      nodes.push(...collectTextNodesDeep(node.shadowRoot));
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * Rebuilds the shared `Highlight` for `name` from all owners.
+ *
+ * @param {string} name
+ */
+function syncRegistry(name) {
+  const ranges = [];
+  ownedRanges.forEach(byName => ranges.push(...(byName.get(name) ?? [])));
+
+  if (ranges.length) {
+    const highlight = new Highlight(...ranges);
+    highlight.priority = priorityOf(name);
+    CSS.highlights.set(name, highlight);
+  } else {
+    CSS.highlights.delete(name);
+  }
+}
+
+/**
+ * Splits ranges into their term and match kind highlights.
+ *
+ * @param {Range[]} ranges
+ * @returns {Map<string, Range[]>}
+ */
+function groupByMatch(ranges) {
+  const groups = new Map();
+  const add = (name, range) => groups.set(name, [...(groups.get(name) ?? []), range]);
+
+  ranges.forEach(range => {
+    const match = rangeMatches.get(range);
+    if (!match) return;
+    add(termHighlightName(match.term), range);
+    if (match.kind !== 'exact') add(kindHighlightName(match.kind), range);
+  });
+  return groups;
+}
+
+/**
+ * Replaces the ranges `owner` contributes to highlight `name`.
+ * For the default name, the owner's term and match kind highlights are replaced as well.
+ *
+ * @param {unknown} owner - Stable key: an element, a string, ...
+ * @param {Range[]} ranges
+ * @param {string} [name=DEFAULT_HIGHLIGHT_NAME]
+ */
+export function setHighlightRanges(owner, ranges, name = DEFAULT_HIGHLIGHT_NAME) {
+  if (!supportsHighlightAPI()) return;
+
+  const byName = ownedRanges.get(owner) ?? new Map();
+  const changed = new Map([[name, ranges]]);
+  if (name === DEFAULT_HIGHLIGHT_NAME) {
+    byName.forEach((_, owned) => {
+      if (priorityOf(owned) === 1 || priorityOf(owned) === 2) changed.set(owned, []);
+    });
+    groupByMatch(ranges).forEach((group, grouped) => changed.set(grouped, group));
+  }
+
+  changed.forEach((list, changedName) => {
+    if (list.length) byName.set(changedName, list);
+    else byName.delete(changedName);
+  });
+
+  if (byName.size) ownedRanges.set(owner, byName);
+  else ownedRanges.delete(owner);
+
+  ranges.forEach(range => adoptRootStyles(range.startContainer, highlightStyles));
+  changed.forEach((_, changedName) => syncRegistry(changedName));
+}
+
+/**
+ * Ranges `owner` currently contributes to highlight `name`.
+ *
+ * @param {unknown} owner
+ * @param {string} [name=DEFAULT_HIGHLIGHT_NAME]
+ * @returns {Range[]}
+ */
+export function getHighlightRanges(owner, name = DEFAULT_HIGHLIGHT_NAME) {
+  return ownedRanges.get(owner)?.get(name)?.slice() ?? [];
+}
+
+/**
+ * Removes every range `owner` contributed, to any highlight name.
+ *
+ * @param {unknown} owner
+ */
+export function clearHighlightRanges(owner) {
+  const byName = ownedRanges.get(owner);
+  if (!byName || !supportsHighlightAPI()) return;
+
+  ownedRanges.delete(owner);
+  byName.forEach((_, name) => syncRegistry(name));
+}
+
+/**
+ * Creates a Range over `[start, end)` of a text node.
+ *
+ * @param {Text} node
+ * @param {number} start
+ * @param {number} end
+ * @param {{ term: number, kind: import('./matchCore.js').MatchKind }} [match] - Puts the range
+ *   into its term and match kind highlights too (see `setHighlightRanges()`).
+ * @returns {Range}
+ */
+export function createTextRange(node, start, end, match) {
+  const range = document.createRange();
+  range.setStart(node, start);
+  range.setEnd(node, end);
+  if (match) rangeMatches.set(range, { term: match.term, kind: match.kind });
+  return range;
+}
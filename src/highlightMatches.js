@@ -1,8 +1,17 @@
 import { html } from 'lit';
-
-/**
- * @typedef {string | ((text: string) => string)} Normalizer
- */
+import { resolveMatchOptions, splitQueryTerms, matchTerms, findMatches } from './matchCore.js';
+import { toSegments, segmentsToHTML, escapeHTML } from './highlightText.js';
+import {
+  supportsHighlightAPI,
+  setHighlightRanges,
+  clearHighlightRanges,
+  collectTextNodesDeep,
+  createTextRange,
+} from './highlightApi.js';
+
+export { findMatches } from './matchCore.js';
+export { normalizerPresets, registerNormalizerPreset } from './normalizerRegistry.js';
+export { markStyles } from './matchStyles.js';
 
 /**
  * Highlight function for text search and marking.
@@ -12,14 +21,26 @@ import { html } from 'lit';
  * - Plain HTML string output
  * - Optional browser CSS Highlight API (if enabled via options)
  *
+ * Which hits exist is decided by the shared matching core (`matchCore.js`), so these options
+ * mean the same for the DOM highlighter of `query-manager`. Outside the browser (Node, workers)
+ * use `highlightText.js`, which renders the same `'html'` output without `lit`.
+ *
  * Options:
- * @typedef {Object} HighlightOptions
- * @property {string} [key] - Unique key for Highlight API (used only if useHighlightAPI=true). Default: auto-generated.
- * @property {boolean} [multipleMatches=true] - Highlight all matches (true) or only the first (false).
- * @property {boolean} [splitWords=true] - Split query into words by spaces and highlight each separately.
- * @property {Normalizer | Normalizer[]} [normalizers=[]] - Normalizer function(s) or preset name(s). Presets: 'lowercase', 'trim', 'no-diacritics', 'de-german', 'alnum', 'iban'.
- * @property {'template' | 'html'} [output='template'] - Output format: `'template'` for Lit TemplateResult[], `'html'` for plain string.
- * @property {boolean} [useHighlightAPI=false] - If true, enables browser CSS Highlight API. Default: false.
+ * @typedef {import('./matchCore.js').MatchOptions & {
+ *   key?: unknown,
+ *   root?: Element | ShadowRoot,
+ *   output?: 'template' | 'html',
+ *   useHighlightAPI?: boolean,
+ * }} HighlightOptions
+ * - `key`: Stable owner key for Highlight API ranges (used only if useHighlightAPI=true). Default: `root`.
+ * - `root` (default `document.body`): Where the Highlight API looks for the rendered text. Open shadow roots inside are searched too.
+ * - `output` (default `'template'`): `'template'` for Lit TemplateResult[], `'html'` for plain string.
+ * - `useHighlightAPI` (default false): Enables the browser CSS Highlight API. Falls back to `<mark>` output when unsupported.
+ * - `normalizers` (default `[]`): Normalizer function(s) or preset name(s) of the shared registry (`normalizerPresets`).
+ * - `locale`: BCP 47 tag, or `'auto'` for `<html lang>`; runs that language's pack before `normalizers` (`localePacks.js`).
+ *
+ * Marks are rendered as `<mark data-term="<n>" data-match="exact|normalized|fuzzy">`; adopt
+ * `markStyles` where they are rendered for per-term colours (`HighlightableMixin` does).
  *
  * @param {string} text - The text to highlight.
  * @param {string} query - The search query string.
@@ -27,278 +48,120 @@ import { html } from 'lit';
  * @returns {string | import('lit').TemplateResult[]} Highlighted result.
  */
 export function highlightMatches(text, query, options = {}) {
-  const outputMode = options.output || 'template';
-  const effectiveOptions = withPresetDefaults(options);
-
-  if (options.useHighlightAPI && supportsHighlightAPI()) {
-    highlightUsingAPI(text, query, effectiveOptions);
-    return outputMode === 'template' ? [html`${text}`] : text;
-  }
-
-  return outputMode === 'template'
-    ? highlightToTemplate(text, query, effectiveOptions)
-    : highlightToHTML(text, query, effectiveOptions);
-}
-
-/**
- * Checks if browser supports the CSS Highlight API.
- * @returns {boolean}
- */
-function supportsHighlightAPI() {
-  return typeof Highlight !== 'undefined' &&
-    typeof CSSHighlightRegistry !== 'undefined' &&
-    'highlights' in navigator;
+  return highlightWithMatches(text, query, options).result;
 }
 
 /**
- * Performs highlighting using the browser CSS Highlight API.
+ * Like `highlightMatches()`, but also returns the hits as data (`findMatches()` results),
+ * so callers count them without looking into the output. With the Highlight API these are
+ * the hits in `text`; its ranges are registered later on the rendered text.
  *
  * @param {string} text
  * @param {string} query
- * @param {object} options
+ * @param {HighlightOptions} [options={}]
+ * @returns {{
+ *   result: string | import('lit').TemplateResult[],
+ *   matches: import('./matchCore.js').MatchResult[],
+ * }}
  */
-function highlightUsingAPI(text, query, options) {
-  const {
-    key = generateUniqueKey(),
-    multipleMatches = true,
-    splitWords = true,
-    normalizers = [],
-  } = options;
-
-  const registry = navigator.highlights;
-
-  if (!query?.trim()) {
-    registry.delete(key);
-    return;
-  }
-
-  const normalizerChain = resolveNormalizers(normalizers);
-  const words = splitWords ? query.trim().split(/\s+/) : [query.trim()];
-  const normWords = words.map(w => applyNormalizers(w, normalizerChain));
-  const ranges = [];
-
-  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
-  while (walker.nextNode()) {
-    const node = walker.currentNode;
-    const normText = applyNormalizers(node.textContent, normalizerChain);
+export function highlightWithMatches(text, query, options = {}) {
+  const outputMode = options.output || 'template';
+  const source = String(text ?? '');
+  const matches = findMatches(source, query, options);
 
-    normWords.forEach(word => {
-      if (!word) return;
-      const re = new RegExp(escapeRegExp(word), multipleMatches ? 'gi' : 'i');
-      let match;
-      while ((match = re.exec(normText))) {
-        const range = document.createRange();
-        range.setStart(node, match.index);
-        range.setEnd(node, match.index + match[0].length);
-        ranges.push(range);
-        if (!multipleMatches) return;
-      }
-    });
+  if (options.useHighlightAPI && supportsHighlightAPI()) {
+    highlightUsingAPI(text, query, options);
+    return { result: outputMode === 'template' ? [html`${text}`] : escapeHTML(source), matches };
   }
 
-  registry.set(key, new Highlight(...ranges));
+  const segments = toSegments(source, matches);
+  return {
+    result: outputMode === 'template' ? segmentsToTemplate(text, segments) : segmentsToHTML(segments),
+    matches,
+  };
 }
 
-/**
- * Generates a unique random key for Highlight API.
- * @returns {string}
- */
-function generateUniqueKey() {
-  return `highlight-${Math.random().toString(36).slice(2, 10)}`;
-}
+/** @type {Map<unknown, { root: Element | ShadowRoot, query: string, options: object, texts: Set<string> }>} */
+const pendingAPIHighlights = new Map();
 
 /**
- * Returns array of [start, end] ranges for matches inside the text.
+ * Performs highlighting using the browser CSS Highlight API.
  *
- * @param {string} text
- * @param {string} query
- * @param {object} options
- * @returns {Array<[number, number]>}
- */
-function getMatchRanges(text, query, options) {
-  const {
-    multipleMatches = true,
-    splitWords = true,
-    normalizers = [],
-  } = options;
-
-  if (!query || typeof text !== 'string') return [];
-
-  const chain = resolveNormalizers(normalizers);
-  const normQueryWords = (splitWords ? query.trim().split(/\s+/) : [query.trim()])
-    .map(q => applyNormalizers(q, chain));
-
-  const normText = applyNormalizers(text, chain);
-  const pattern = normQueryWords.filter(Boolean).map(escapeRegExp).join('|');
-  if (!pattern) return [];
-
-  const re = new RegExp(pattern, multipleMatches ? 'gi' : 'i');
-  const ranges = [];
-  let match;
-
-  while ((match = re.exec(normText))) {
-    const start = getRawSliceIndex(text, normText, 0, match.index);
-    const end = getRawSliceIndex(text, normText, 0, re.lastIndex);
-    ranges.push([start, end]);
-    if (!multipleMatches) break;
-  }
-
-  return ranges;
-}
-
-/**
- * Converts text + match ranges to Lit TemplateResult[].
+ * Calls made for the same `key` within one task (e.g. several `highlight()` calls in one
+ * render) are batched and applied in a microtask, after the text has been rendered.
+ * The batch replaces whatever this key highlighted before.
  *
  * @param {string} text
  * @param {string} query
  * @param {object} options
- * @returns {import('lit').TemplateResult[]}
  */
-function highlightToTemplate(text, query, options) {
-  const ranges = getMatchRanges(text, query, options);
-  if (!ranges.length) return [html`${text}`];
-
-  const result = [];
-  let last = 0;
+function highlightUsingAPI(text, query, options) {
+  const { root = document.body, key = root } = options;
 
-  for (const [start, end] of ranges) {
-    if (start > last) result.push(html`${text.slice(last, start)}`);
-    result.push(html`<mark>${text.slice(start, end)}</mark>`);
-    last = end;
+  let batch = pendingAPIHighlights.get(key);
+  if (!batch) {
+    batch = { root, query, options, texts: new Set() };
+    pendingAPIHighlights.set(key, batch);
+    queueMicrotask(() => flushAPIHighlights(key));
   }
 
-  if (last < text.length) result.push(html`${text.slice(last)}`);
-  return result;
+  batch.query = query;
+  batch.options = options;
+  if (text?.trim()) batch.texts.add(text);
 }
 
 /**
- * Converts text + match ranges to plain HTML string with <mark> tags.
+ * Highlights every rendered occurrence of the batched texts under the batch root.
  *
- * @param {string} text
- * @param {string} query
- * @param {object} options
- * @returns {string}
+ * @param {unknown} key
  */
-function highlightToHTML(text, query, options) {
-  const ranges = getMatchRanges(text, query, options);
-  if (!ranges.length) return escapeHTML(text);
+function flushAPIHighlights(key) {
+  const batch = pendingAPIHighlights.get(key);
+  if (!batch) return;
+  pendingAPIHighlights.delete(key);
 
-  let htmlStr = '';
-  let last = 0;
+  const { root, query, options, texts } = batch;
 
-  for (const [start, end] of ranges) {
-    htmlStr += escapeHTML(text.slice(last, start));
-    htmlStr += `<mark>${escapeHTML(text.slice(start, end))}</mark>`;
-    last = end;
+  if (!query?.trim() || !texts.size || !root?.isConnected) {
+    clearHighlightRanges(key);
+    return;
   }
 
-  htmlStr += escapeHTML(text.slice(last));
-  return htmlStr;
-}
-
-/**
- * Escapes HTML special characters.
- *
- * @param {string} str
- * @returns {string}
- */
-function escapeHTML(str) {
-  return str.replace(/[&<>"']/g, ch => (
-    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]
-  ));
-}
-
-/**
- * Maps normalized index back to original text index.
- *
- * @param {string} original
- * @param {string} normalized
- * @param {number} from
- * @param {number} to
- * @returns {number}
- */
-function getRawSliceIndex(original, normalized, from, to) {
-  const raw = applyNormalizers(original.slice(0, to), []);
-  return raw.length;
-}
+  const resolved = resolveMatchOptions(options);
+  const { terms, raw } = splitQueryTerms(query, resolved);
+  const ranges = [];
+  collectTextNodesDeep(root).forEach(node => {
+    if (![...texts].some(text => node.data.includes(text))) return;
+    matchTerms(node.data, terms, resolved, raw).forEach(hit => {
+      ranges.push(createTextRange(node, hit.start, hit.end, hit));
+    });
+  });
 
-/**
- * Applies all normalizers sequentially.
- *
- * @param {string} input
- * @param {Function[]} normalizers
- * @returns {string}
- */
-function applyNormalizers(input, normalizers) {
-  return normalizers.reduce((acc, fn) => fn(acc), input);
+  setHighlightRanges(key, ranges);
 }
 
 /**
- * Resolves normalizers from preset names and functions into function array.
+ * Removes the Highlight API ranges registered under `key`
+ * (call it when the owning component disconnects).
  *
- * @param {Normalizer | Normalizer[]} raw
- * @returns {Function[]}
+ * @param {unknown} key
  */
-function resolveNormalizers(raw) {
-  const list = Array.isArray(raw) ? raw : [raw];
-  return list.map(n => {
-    if (typeof n === 'function') return n;
-    if (typeof n === 'string') return getPresetNormalizer(n);
-    return x => x;
-  });
+export function clearHighlights(key) {
+  pendingAPIHighlights.delete(key);
+  clearHighlightRanges(key);
 }
 
 /**
- * Applies default behavior for known presets (e.g., IBAN disables splitWords).
+ * Converts text segments to Lit TemplateResult[].
  *
- * @param {object} options
- * @returns {object}
+ * @param {string} text
+ * @param {import('./highlightText.js').TextSegment[]} segments
+ * @returns {import('lit').TemplateResult[]}
  */
-function withPresetDefaults(options) {
-  const normalizers = Array.isArray(options.normalizers) ? options.normalizers : [options.normalizers];
-  if (normalizers.includes('iban')) {
-    return {
-      ...options,
-      splitWords: false,
-      normalizers,
-    };
-  }
-  return options;
-}
+function segmentsToTemplate(text, segments) {
+  if (!segments.some(segment => segment.match)) return [html`${text}`];
 
-/**
- * Returns predefined normalizer functions for known presets.
- *
- * Supported presets:
- * - 'lowercase': Converts text to lowercase.
- * - 'trim': Trims leading and trailing spaces.
- * - 'no-diacritics': Removes diacritical marks (accents).
- * - 'de-german': Converts German umlauts and ß (e.g., ä → ae, ß → ss).
- * - 'alnum': Keeps only alphanumeric characters (removes spaces and symbols).
- * - 'iban': Removes spaces and converts to uppercase (special handling for IBAN matching).
- *
- * @param {string} name
- * @returns {(text: string) => string}
- */
-function getPresetNormalizer(name) {
-  switch (name.toLowerCase()) {
-    case 'lowercase': return s => s.toLowerCase();
-    case 'trim': return s => s.trim();
-    case 'no-diacritics': return s => s.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
-    case 'de-german': return s =>
-      s.replace(/ß/g, 'ss').replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue');
-    case 'alnum': return s => s.replace(/[^\p{L}\p{N}]/gu, '');
-    case 'iban': return s => s.replace(/\s+/g, '').toUpperCase();
-    default: return s => s;
-  }
+  return segments.map(({ text: part, match, term, kind }) => (match
+    ? html`<mark data-term=${term} data-match=${kind}>${part}</mark>`
+    : html`${part}`));
 }
-
-/**
- * Escapes special RegExp characters.
- *
- * @param {string} str
- * @returns {string}
- */
-function escapeRegExp(str) {
-  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
\ No newline at end of file
@@ -0,0 +1,124 @@
+import { findMatches } from './matchCore.js';
+
+export { findMatches } from './matchCore.js';
+export { normalizerPresets, registerNormalizerPreset } from './normalizerRegistry.js';
+
+/**
+ * DOM-free highlighting for Node scripts, workers, emails and PDF generation.
+ * Imports neither `lit` nor any browser API; hits are the ones `highlightMatches()`
+ * finds for the same options (both use `matchCore.js`).
+ *
+ * @typedef {import('./matchCore.js').MatchOptions & {
+ *   output?: 'html' | 'markers' | 'segments',
+ *   markers?: [string, string],
+ * }} HighlightTextOptions
+ * - `output` (default `'html'`): escaped HTML with `<mark>`, plain text with `markers`, or segments.
+ * - `markers` (default `['[[', ']]']`): wrap hits in plain-text output.
+ *
+ * @typedef {Object} TextSegment
+ * @property {string} text
+ * @property {boolean} match
+ * @property {number} [term] - Index of the query term (hits only).
+ * @property {import('./matchCore.js').MatchKind} [kind] - Hits only.
+ * @property {number} [score] - Hits only.
+ */
+
+/**
+ * @param {string} text
+ * @param {string} query
+ * @param {HighlightTextOptions} [options={}]
+ * @returns {string | TextSegment[]} Segments for `output: 'segments'`, a string otherwise.
+ */
+export function highlightText(text, query, options = {}) {
+  const { output = 'html', markers, ...matchOptions } = options;
+  if (output === 'segments') return highlightSegments(text, query, matchOptions);
+  if (output === 'markers') return highlightToMarkers(text, query, { ...matchOptions, markers });
+  return highlightToHTML(text, query, matchOptions);
+}
+
+/**
+ * Splits `text` into alternating plain and matched segments (empty segments are left out).
+ *
+ * @param {string} text
+ * @param {string} query
+ * @param {import('./matchCore.js').MatchOptions} [options={}]
+ * @returns {TextSegment[]}
+ */
+export function highlightSegments(text, query, options = {}) {
+  const source = String(text ?? '');
+  return toSegments(source, findMatches(source, query, options));
+}
+
+/**
+ * Splits `text` at hits that `findMatches()` returned for it.
+ *
+ * @param {string} text
+ * @param {import('./matchCore.js').MatchResult[]} matches
+ * @returns {TextSegment[]}
+ */
+export function toSegments(text, matches) {
+  const source = String(text ?? '');
+  const segments = [];
+  let last = 0;
+
+  for (const { start, end, term, kind, score } of matches) {
+    if (start > last) segments.push({ text: source.slice(last, start), match: false });
+    segments.push({ text: source.slice(start, end), match: true, term, kind, score });
+    last = end;
+  }
+
+  if (last < source.length) segments.push({ text: source.slice(last), match: false });
+  return segments;
+}
+
+/**
+ * Escaped HTML with `<mark data-term="<n>" data-match="<kind>">` around hits;
+ * the same markup as `highlightMatches(text, query, { output: 'html' })`.
+ *
+ * @param {string} text
+ * @param {string} query
+ * @param {import('./matchCore.js').MatchOptions} [options={}]
+ * @returns {string}
+ */
+export function highlightToHTML(text, query, options = {}) {
+  return segmentsToHTML(highlightSegments(text, query, options));
+}
+
+/**
+ * @param {TextSegment[]} segments
+ * @returns {string} Escaped HTML with `<mark>` around the matched segments.
+ */
+export function segmentsToHTML(segments) {
+  return segments
+    .map(({ text: part, match, term, kind }) => (match
+      ? `<mark data-term="${term}" data-match="${kind}">${escapeHTML(part)}</mark>`
+      : escapeHTML(part)))
+    .join('');
+}
+
+/**
+ * Plain text with hits wrapped in markers, e.g. `The [[apple]] pie`.
+ *
+ * @param {string} text
+ * @param {string} query
+ * @param {import('./matchCore.js').MatchOptions & { markers?: [string, string] }} [options={}]
+ * @returns {string}
+ */
+export function highlightToMarkers(text, query, options = {}) {
+  const { markers: [open, close] = ['[[', ']]'], ...matchOptions } = options;
+  return highlightSegments(text, query, matchOptions)
+    .map(({ text: part, match }) => (match ? open + part + close : part))
+    .join('');
+}
+
+/**
+ * Escapes HTML special characters.
+ *
+ * @param {string} str
+ * @returns {string}
+ */
+export function escapeHTML(str) {
+  return str.replace(/[&<>"']/g, ch => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]
+  ));
+}
@@ -0,0 +1,93 @@
+import { createReplaceStep } from './normalizePipeline.js';
+
+/**
+ * Locale normalizer packs. Each pack folds case with the language's own rules
+ * (`toLocaleLowerCase`) and maps letters users commonly type without their diacritics
+ * or in another script, so `"istanbul"` finds `"İstanbul"` and `"kharkiv"` finds `"Харків"`.
+ *
+ * Packs are registered as normalizer presets (`normalizers: 'tr'`) and are picked by the
+ * `locale` match option (see `getLocalePackName()`).
+ */
+
+/** Combining marks left by NFD (accents, ogonek, cedilla, breve, ring, ...). */
+const stripDiacritics = s => s.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+/** @param {string} lang */
+const lowerCase = lang => s => s.toLocaleLowerCase(lang);
+
+/**
+ * @param {Record<string, string>} table - Lowercase letter → replacement.
+ */
+const transliterate = table => createReplaceStep(
+  new RegExp(`[${Object.keys(table).join('')}]`, 'g'),
+  ch => table[ch],
+);
+
+const RUSSIAN_TO_LATIN = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'y',
+  к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+  х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+};
+
+/** Ukrainian national transliteration (2010), without the word-initial variants. */
+const UKRAINIAN_TO_LATIN = {
+  а: 'a', б: 'b', в: 'v', г: 'h', ґ: 'g', д: 'd', е: 'e', є: 'ie', ж: 'zh', з: 'z', и: 'y',
+  і: 'i', ї: 'i', й: 'i', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's',
+  т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ь: '', ю: 'iu', я: 'ia',
+  '’': '', "'": '',
+};
+
+/**
+ * - `'tr'`: Turkish case folding (I→ı, İ→i), then ı→i and ş/ç/ğ/ö/ü without marks.
+ * - `'pl'`: Polish ł→l, ą/ę/ś/ź/ż/ć/ń/ó without marks.
+ * - `'nordic'`: ø→o, æ→ae, œ→oe, ð→d, þ→th, å/ä/ö without marks.
+ * - `'ru'`: Russian Cyrillic → Latin transliteration (Москва → moskva).
+ * - `'uk'`: Ukrainian Cyrillic → Latin transliteration (Харків → kharkiv).
+ *
+ * @type {Record<string, import('./normalizePipeline.js').NormalizerStep[]>}
+ */
+export const localePacks = {
+  tr: [lowerCase('tr'), createReplaceStep(/ı/g, 'i'), stripDiacritics],
+  pl: [lowerCase('pl'), createReplaceStep(/ł/g, 'l'), stripDiacritics],
+  nordic: [
+    lowerCase('sv'),
+    transliterate({ ø: 'o', æ: 'ae', œ: 'oe', ð: 'd', þ: 'th' }),
+    stripDiacritics,
+  ],
+  ru: [lowerCase('ru'), transliterate(RUSSIAN_TO_LATIN)],
+  uk: [lowerCase('uk'), transliterate(UKRAINIAN_TO_LATIN)],
+};
+
+/** Primary language subtag → pack (or built-in preset) name. */
+const PACK_BY_LANGUAGE = {
+  tr: 'tr',
+  az: 'tr',
+  pl: 'pl',
+  da: 'nordic',
+  nb: 'nordic',
+  nn: 'nordic',
+  no: 'nordic',
+  sv: 'nordic',
+  fi: 'nordic',
+  is: 'nordic',
+  fo: 'nordic',
+  ru: 'ru',
+  be: 'ru',
+  uk: 'uk',
+  de: 'de-german',
+};
+
+/**
+ * Pack for a BCP 47 locale (`'tr-TR'` → `'tr'`, `'nb'` → `'nordic'`). `'auto'` uses the
+ * page language (`document.documentElement.lang`); outside the browser it has no pack.
+ *
+ * @param {string | undefined} locale
+ * @returns {string | null} Preset name, or null when the language has no pack.
+ */
+export function getLocalePackName(locale) {
+  const tag = locale === 'auto'
+    ? (typeof document !== 'undefined' ? document.documentElement?.lang : '')
+    : locale;
+  const language = String(tag ?? '').trim().toLowerCase().split(/[-_]/)[0];
+  return PACK_BY_LANGUAGE[language] ?? null;
+}
@@ -0,0 +1,189 @@
+import { findTermMatches } from './matchModes.js';
+import { normalizeWithMap, toOriginalRange } from './normalizePipeline.js';
+import { resolveNormalizers, getPresetDefaults } from './normalizerRegistry.js';
+
+/**
+ * Matching core shared by all highlighters. Renderers (template/html strings, DOM marks,
+ * CSS Highlight API ranges) only decide how hits are shown; which hits exist is decided
+ * here, so the same options give the same hits everywhere.
+ *
+ * @typedef {Object} MatchOptions
+ * @property {boolean} [multipleMatches=true] - All hits (true) or only the first one (false).
+ * @property {boolean} [splitWords=true] - Split the query by spaces and match each word separately.
+ * @property {import('./normalizerRegistry.js').Normalizer | import('./normalizerRegistry.js').Normalizer[]} [normalizers=[]] - Normalizer function(s) or preset name(s), see `normalizerPresets`.
+ * @property {import('./matchModes.js').MatchMode} [matchMode='substring'] - `'prefix'`: term starts a token, `'token'`: whole tokens only, `'fuzzy'`: per-token Damerau-Levenshtein within `maxEdits`.
+ * @property {boolean} [exactMatch] - Legacy alias of `matchMode: 'token'`.
+ * @property {number | ((term: string) => number)} [maxEdits] - Edit budget for `'fuzzy'`. Default: 0 up to 3 chars, 1 up to 6, else 2.
+ * @property {string} [locale] - BCP 47 tag (or `'auto'` for `<html lang>`) whose locale pack runs before `normalizers`, see `localePacks.js`.
+ *
+ * @typedef {Object} ResolvedMatchOptions
+ * @property {import('./normalizePipeline.js').NormalizerStep[]} normalizers
+ * @property {boolean} splitWords
+ * @property {boolean} multipleMatches
+ * @property {import('./matchModes.js').MatchMode} matchMode
+ * @property {number | ((term: string) => number) | undefined} maxEdits
+ *
+ * @typedef {Object} MatchResult
+ * @property {number} start - Start index in the original text.
+ * @property {number} end - End index (exclusive) in the original text.
+ * @property {string} text - The matched slice of the original text.
+ * @property {number} score - 1 for exact hits, lower for fuzzy ones; use it to rank hits.
+ * @property {number} term - Index of the query term that produced the hit.
+ * @property {MatchKind} kind - How the hit relates to the term as typed.
+ *
+ * @typedef {'exact' | 'normalized' | 'fuzzy'} MatchKind
+ * - `'exact'`: the hit is the typed term, character for character;
+ * - `'normalized'`: equal only after normalization (case, diacritics, ...);
+ * - `'fuzzy'`: within the edit budget of `matchMode: 'fuzzy'`.
+ */
+
+const MAX_CACHED_TEXTS = 2000;
+
+/** @type {WeakMap<Function[], Map<string, import('./normalizePipeline.js').MappedText>>} */
+let normalizationCache = new WeakMap();
+
+export function clearNormalizationCache() {
+  normalizationCache = new WeakMap();
+}
+
+/**
+ * Fills in defaults and resolves presets. `defaults` lets a renderer keep its own
+ * defaults (the DOM highlighter normalizes with `'default'` and does not split words).
+ *
+ * @param {MatchOptions} [options={}]
+ * @param {MatchOptions} [defaults={}]
+ * @returns {ResolvedMatchOptions}
+ */
+export function resolveMatchOptions(options = {}, defaults = {}) {
+  const merged = { splitWords: true, multipleMatches: true, ...defaults, ...definedOnly(options) };
+  const normalizers = merged.normalizers ?? [];
+
+  return {
+    splitWords: merged.splitWords,
+    multipleMatches: merged.multipleMatches,
+    ...getPresetDefaults(normalizers),
+    normalizers: resolveNormalizers(normalizers, merged.locale),
+    matchMode: merged.matchMode || (merged.exactMatch ? 'token' : 'substring'),
+    maxEdits: merged.maxEdits,
+  };
+}
+
+/**
+ * @param {object} options
+ * @returns {object} `options` without `undefined` values, so they don't hide defaults.
+ */
+function definedOnly(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Normalizes `text` with its index map, cached per normalizer chain.
+ *
+ * @param {string} text
+ * @param {import('./normalizePipeline.js').NormalizerStep[]} normalizers
+ * @returns {import('./normalizePipeline.js').MappedText}
+ */
+export function normalizeText(text, normalizers) {
+  let cache = normalizationCache.get(normalizers);
+  if (!cache) {
+    cache = new Map();
+    normalizationCache.set(normalizers, cache);
+  }
+
+  let mapped = cache.get(text);
+  if (!mapped) {
+    if (cache.size >= MAX_CACHED_TEXTS) cache.clear();
+    mapped = normalizeWithMap(text, normalizers);
+    cache.set(text, mapped);
+  }
+  return mapped;
+}
+
+/**
+ * Normalizes a single query term.
+ *
+ * @param {string} term
+ * @param {ResolvedMatchOptions} resolved
+ * @returns {string}
+ */
+export function normalizeTerm(term, resolved) {
+  return normalizeText(term.trim(), resolved.normalizers).text;
+}
+
+/**
+ * Splits (with `splitWords`) and normalizes the query.
+ *
+ * @param {string} query
+ * @param {ResolvedMatchOptions} resolved
+ * @returns {string[]}
+ */
+export function getQueryTerms(query, resolved) {
+  return splitQueryTerms(query, resolved).terms;
+}
+
+/**
+ * Like `getQueryTerms()`, with the terms as typed at the same indexes (`raw`),
+ * which `matchTerms()` uses to tell exact from normalized hits.
+ *
+ * @param {string} query
+ * @param {ResolvedMatchOptions} resolved
+ * @returns {{ terms: string[], raw: string[] }}
+ */
+export function splitQueryTerms(query, resolved) {
+  const terms = [];
+  const raw = [];
+  if (!query?.trim()) return { terms, raw };
+
+  const words = resolved.splitWords ? query.trim().split(/\s+/) : [query.trim()];
+  words.forEach(word => {
+    const term = normalizeTerm(word, resolved);
+    if (!term) return;
+    terms.push(term);
+    raw.push(word);
+  });
+  return { terms, raw };
+}
+
+/**
+ * Finds hits of already normalized `terms` in `text`, mapped back onto `text`.
+ *
+ * @param {string} text
+ * @param {string[]} terms
+ * @param {ResolvedMatchOptions} resolved
+ * @param {string[]} [raw=terms] - The terms as typed, to tell `'exact'` from `'normalized'` hits.
+ * @returns {MatchResult[]}
+ */
+export function matchTerms(text, terms, resolved, raw = terms) {
+  if (typeof text !== 'string' || !terms.length) return [];
+
+  const mapped = normalizeText(text, resolved.normalizers);
+  let lastEnd = 0;
+
+  return findTermMatches(mapped.text, terms, resolved)
+    .map(({ index, length, score, term }) => {
+      const [start, end] = toOriginalRange(mapped, index, index + length);
+      const slice = text.slice(start, end);
+      const kind = score < 1 ? 'fuzzy' : slice === raw[term] ? 'exact' : 'normalized';
+      return { start, end, text: slice, score, term, kind };
+    })
+    // Two normalized hits can map onto one original character (e.g. both `s` of `ß`)
+    .filter(({ start, end }) => {
+      if (end <= start || start < lastEnd) return false;
+      lastEnd = end;
+      return true;
+    });
+}
+
+/**
+ * Finds matches of `query` inside `text` without rendering anything.
+ *
+ * @param {string} text
+ * @param {string} query
+ * @param {MatchOptions} [options={}]
+ * @returns {MatchResult[]}
+ */
+export function findMatches(text, query, options = {}) {
+  const resolved = resolveMatchOptions(options);
+  const { terms, raw } = splitQueryTerms(query, resolved);
+  return matchTerms(text, terms, resolved, raw);
+}
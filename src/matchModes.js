@@ -0,0 +1,179 @@
+/**
+ * Matching strategies shared by the string/template highlighter and the DOM highlighter.
+ * All functions work on already normalized text and terms.
+ *
+ * @typedef {'substring' | 'prefix' | 'token' | 'fuzzy'} MatchMode
+ *
+ * @typedef {Object} TermMatch
+ * @property {number} index - Start index in the normalized text.
+ * @property {number} length - Length in the normalized text.
+ * @property {number} score - 1 for exact hits, lower for fuzzy ones (0..1).
+ * @property {number} term - Index of the query term that produced the hit.
+ */
+
+const TOKEN_RE = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Damerau-Levenshtein distance (optimal string alignment variant).
+ * Stops early and returns `max + 1` once the distance is known to exceed `max`.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [max=Infinity]
+ * @returns {number}
+ */
+export function damerauLevenshtein(a, b, max = Infinity) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+
+      row[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * Default edit budget for a fuzzy term: none for very short terms,
+ * one typo up to 6 characters, two typos above.
+ *
+ * @param {string} term
+ * @returns {number}
+ */
+export function defaultMaxEdits(term) {
+  if (term.length <= 3) return 0;
+  if (term.length <= 6) return 1;
+  return 2;
+}
+
+/**
+ * Escapes special RegExp characters.
+ *
+ * @param {string} str
+ * @returns {string}
+ */
+export function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds the RegExp for the non-fuzzy modes.
+ *
+ * @param {string} term
+ * @param {MatchMode} mode
+ * @returns {RegExp}
+ */
+function createTermPattern(term, mode) {
+  const body = escapeRegExp(term);
+  if (mode === 'token') return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'giu');
+  if (mode === 'prefix') return new RegExp(`(?<![\\p{L}\\p{N}])${body}`, 'giu');
+  return new RegExp(body, 'giu');
+}
+
+/**
+ * Per-token fuzzy comparison. A token matches when the whole token, or its
+ * beginning (while the user is still typing), is within the edit budget.
+ *
+ * @param {string} text
+ * @param {string} term
+ * @param {number} termIndex
+ * @param {number | ((term: string) => number)} maxEdits
+ * @returns {TermMatch[]}
+ */
+function findFuzzyMatches(text, term, termIndex, maxEdits) {
+  const matches = [];
+  const words = term.toLowerCase().match(TOKEN_RE) || [];
+
+  for (const token of text.matchAll(TOKEN_RE)) {
+    const candidate = token[0].toLowerCase();
+
+    for (const word of words) {
+      const budget = typeof maxEdits === 'function' ? maxEdits(word) : maxEdits;
+      const whole = damerauLevenshtein(word, candidate, budget);
+      const prefix = candidate.length > word.length
+        ? damerauLevenshtein(word, candidate.slice(0, word.length), budget)
+        : Infinity;
+      const distance = Math.min(whole, prefix);
+      if (distance > budget) continue;
+
+      // Prefix hits rank slightly below whole-token hits with the same distance
+      const score = (1 - distance / Math.max(word.length, 1)) * (whole <= prefix ? 1 : 0.9);
+      matches.push({ index: token.index, length: candidate.length, score, term: termIndex });
+      break;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Finds hits of every term inside `text` using the requested mode.
+ * Overlapping hits are resolved in favour of the earlier, then longer, then better scored one.
+ *
+ * @param {string} text - Normalized text.
+ * @param {string[]} terms - Normalized query terms.
+ * @param {Object} [options]
+ * @param {MatchMode} [options.matchMode='substring']
+ * @param {number | ((term: string) => number)} [options.maxEdits] - Edit budget for `fuzzy`. Default: `defaultMaxEdits`.
+ * @param {boolean} [options.multipleMatches=true] - Return all hits (true) or only the first (false).
+ * @returns {TermMatch[]} Non-overlapping hits sorted by index.
+ */
+export function findTermMatches(text, terms, options = {}) {
+  const {
+    matchMode = 'substring',
+    maxEdits = defaultMaxEdits,
+    multipleMatches = true,
+  } = options;
+
+  const found = [];
+
+  terms.forEach((term, termIndex) => {
+    if (!term) return;
+
+    if (matchMode === 'fuzzy') {
+      found.push(...findFuzzyMatches(text, term, termIndex, maxEdits));
+      return;
+    }
+
+    const re = createTermPattern(term, matchMode);
+    for (const match of text.matchAll(re)) {
+      if (!match[0].length) continue;
+      found.push({ index: match.index, length: match[0].length, score: 1, term: termIndex });
+    }
+  });
+
+  found.sort((a, b) => a.index - b.index || b.length - a.length || b.score - a.score);
+
+  const result = [];
+  let lastEnd = 0;
+  for (const match of found) {
+    if (match.index < lastEnd) continue;
+    result.push(match);
+    lastEnd = match.index + match.length;
+    if (!multipleMatches) break;
+  }
+
+  return result;
+}
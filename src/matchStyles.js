@@ -0,0 +1,60 @@
+/**
+ * Styles of hits shared by `<mark>` output (DOM highlighter, templates) and the Highlight API.
+ *
+ * Themeable with CSS custom properties, set on `highlight-target`, a `HighlightableMixin`
+ * component or any ancestor:
+ * - `--highlight-match-background` / `--highlight-match-color`: every hit (also the fallback of the others);
+ * - `--highlight-term-<n>-background`: hits of the n-th query term (0-based, `TERM_COLOR_COUNT` terms);
+ * - `--highlight-normalized-background` / `--highlight-normalized-decoration`: hits that equal
+ *   the term only after normalization (case, diacritics, ...);
+ * - `--highlight-fuzzy-background` / `--highlight-fuzzy-decoration`: fuzzy hits.
+ *
+ * Marks carry `data-term="<n>"` and `data-match="exact|normalized|fuzzy"` for own rules.
+ * The mark rules use `:where()`, so any author rule for `mark` wins over them.
+ */
+
+/** Default term colours; terms beyond the palette use `--highlight-match-background`. */
+const TERM_PALETTE = ['yellow', '#a0e7ff', '#b8f2b8', '#ffc6e5', '#ddd0ff', '#ffd8a8'];
+
+export const TERM_COLOR_COUNT = TERM_PALETTE.length;
+
+/**
+ * @param {number} term - Index of the query term.
+ * @returns {string} CSS value of the term's background.
+ */
+export function termBackground(term) {
+  return `var(--highlight-term-${term}-background, var(--highlight-match-background, ${TERM_PALETTE[term] ?? 'yellow'}))`;
+}
+
+const termMarkRules = TERM_PALETTE.map((_, term) => `
+  :where(mark[data-term="${term}"]) {
+    background-color: ${termBackground(term)};
+  }
+
+  :where(mark[data-term="${term}"][data-match="normalized"]) {
+    background-color: var(--highlight-normalized-background, ${termBackground(term)});
+  }
+
+  :where(mark[data-term="${term}"][data-match="fuzzy"]) {
+    background-color: var(--highlight-fuzzy-background, ${termBackground(term)});
+  }
+`).join('');
+
+/**
+ * Mark styles; adopted into every document/shadow root that contains marks
+ * (see `adoptRootStyles()` in `highlightApi.js`).
+ */
+export const markStyles = `
+  :where(mark[data-term]) {
+    background-color: var(--highlight-match-background, yellow);
+    color: var(--highlight-match-color, inherit);
+  }
+  ${termMarkRules}
+  :where(mark[data-match="normalized"]) {
+    text-decoration: var(--highlight-normalized-decoration, none);
+  }
+
+  :where(mark[data-match="fuzzy"]) {
+    text-decoration: var(--highlight-fuzzy-decoration, underline dotted);
+  }
+`;
@@ -0,0 +1,188 @@
+/**
+ * Normalization pipeline that keeps track of where every normalized character came from.
+ *
+ * Each step receives a string and returns a string, exactly like a plain normalizer.
+ * Alongside the text, the pipeline records for every output character the span
+ * `[starts[i], ends[i])` of the original text it was produced from, so matches
+ * found in normalized text can be mapped back onto the un-normalized input even
+ * when a step changes the length (ß→ss, ä→ae, NFD, removed spaces, ...).
+ *
+ * How a step is mapped:
+ * - Steps created with `createReplaceStep()` report their own mapping (exact).
+ * - Any other function is applied per character (a code point plus its combining marks).
+ *   If that gives the same result as applying it to the whole string, the mapping is exact.
+ * - Otherwise the unchanged prefix and suffix are mapped exactly and the changed
+ *   middle part maps onto the whole changed middle of the input.
+ *
+ * @typedef {Object} MappedText
+ * @property {string} text - Normalized text.
+ * @property {number[]} starts - Original start index of each normalized character.
+ * @property {number[]} ends - Original end index (exclusive) of each normalized character.
+ *
+ * @typedef {((text: string) => string) & { withMap?: (text: string) => MappedText }} NormalizerStep
+ */
+
+const UNIT_RE = /\P{M}\p{M}*|\p{M}+/gu;
+
+/**
+ * Mapping where every character maps onto itself.
+ *
+ * @param {string} text
+ * @returns {MappedText}
+ */
+export function identityMap(text) {
+  const starts = Array.from({ length: text.length }, (_, i) => i);
+  return { text, starts, ends: starts.map(i => i + 1) };
+}
+
+/**
+ * Creates a normalizer step based on `String.prototype.replace` that knows its own mapping:
+ * untouched characters map onto themselves, replacement characters map onto the whole
+ * replaced match.
+ *
+ * @param {RegExp} pattern - Should have the `g` flag to replace every occurrence.
+ * @param {string | ((match: string, ...args: any[]) => string)} replacement
+ * @returns {NormalizerStep}
+ */
+export function createReplaceStep(pattern, replacement) {
+  const step = text => text.replace(pattern, replacement);
+
+  step.withMap = (text) => {
+    const global = pattern.flags.includes('g');
+    const re = new RegExp(pattern.source, global ? pattern.flags : pattern.flags + 'g');
+    const single = new RegExp(pattern.source, pattern.flags.replace('g', ''));
+    const out = { text: '', starts: [], ends: [] };
+    let last = 0;
+
+    const keep = (from, to) => {
+      for (let i = from; i < to; i++) {
+        out.starts.push(i);
+        out.ends.push(i + 1);
+      }
+      out.text += text.slice(from, to);
+    };
+
+    for (const match of text.matchAll(re)) {
+      keep(last, match.index);
+      const end = match.index + match[0].length;
+      const replaced = typeof replacement === 'function'
+        ? replacement(...match, match.index, text)
+        : match[0].replace(single, replacement);
+      for (let i = 0; i < replaced.length; i++) {
+        out.starts.push(match.index);
+        out.ends.push(end);
+      }
+      out.text += replaced;
+      last = end;
+      if (!global) break;
+    }
+
+    keep(last, text.length);
+    return out;
+  };
+
+  return step;
+}
+
+/**
+ * Local mapping of a single step: indices point into the step's input.
+ *
+ * @param {NormalizerStep} step
+ * @param {string} input
+ * @returns {MappedText}
+ */
+function mapSingleStep(step, input) {
+  if (typeof step.withMap === 'function') return step.withMap(input);
+
+  const expected = step(input);
+  const out = { text: '', starts: [], ends: [] };
+
+  for (const unit of input.matchAll(UNIT_RE)) {
+    const produced = step(unit[0]);
+    for (let i = 0; i < produced.length; i++) {
+      out.starts.push(unit.index);
+      out.ends.push(unit.index + unit[0].length);
+    }
+    out.text += produced;
+  }
+
+  if (out.text === expected) return out;
+  return mapByAlignment(input, expected);
+}
+
+/**
+ * Fallback for steps that are not character-local: exact common prefix/suffix,
+ * the changed middle maps onto the changed middle of the input.
+ *
+ * @param {string} input
+ * @param {string} output
+ * @returns {MappedText}
+ */
+function mapByAlignment(input, output) {
+  let prefix = 0;
+  while (prefix < input.length && prefix < output.length && input[prefix] === output[prefix]) prefix++;
+
+  let suffix = 0;
+  while (
+    suffix < input.length - prefix &&
+    suffix < output.length - prefix &&
+    input[input.length - 1 - suffix] === output[output.length - 1 - suffix]
+  ) suffix++;
+
+  const starts = [];
+  const ends = [];
+  const middleEnd = input.length - suffix;
+
+  for (let i = 0; i < output.length; i++) {
+    if (i < prefix) {
+      starts.push(i);
+      ends.push(i + 1);
+    } else if (i >= output.length - suffix) {
+      const src = i - (output.length - input.length);
+      starts.push(src);
+      ends.push(src + 1);
+    } else {
+      starts.push(prefix);
+      ends.push(Math.max(middleEnd, prefix + 1));
+    }
+  }
+
+  return { text: output, starts, ends };
+}
+
+/**
+ * Runs `steps` over `text` and records the mapping back to `text`.
+ *
+ * @param {string} text
+ * @param {NormalizerStep[]} steps
+ * @returns {MappedText}
+ */
+export function normalizeWithMap(text, steps) {
+  return steps.reduce((acc, step) => {
+    const local = mapSingleStep(step, acc.text);
+    // Spans are contiguous and ordered, so the outer span is [first start, last end)
+    return {
+      text: local.text,
+      starts: local.starts.map(start => acc.starts[start] ?? text.length),
+      ends: local.ends.map((end, i) => acc.ends[Math.max(end - 1, local.starts[i])] ?? text.length),
+    };
+  }, identityMap(text));
+}
+
+/**
+ * Maps a `[start, end)` range of normalized text onto the original text.
+ *
+ * @param {MappedText} mapped
+ * @param {number} start
+ * @param {number} end
+ * @returns {[number, number]}
+ */
+export function toOriginalRange(mapped, start, end) {
+  if (end <= start) {
+    const at = mapped.starts[start] ?? mapped.ends[mapped.ends.length - 1] ?? 0;
+    return [at, at];
+  }
+  const from = mapped.starts[start];
+  const to = Math.max(...mapped.ends.slice(start, end));
+  return [from, to];
+}
@@ -0,0 +1,190 @@
+import { createReplaceStep } from './normalizePipeline.js';
+import { localePacks, getLocalePackName } from './localePacks.js';
+
+/**
+ * Normalizer presets shared by every highlighter (template/html strings, DOM marks and
+ * the CSS Highlight API). A preset registered here is usable by all of them.
+ *
+ * @typedef {import('./normalizePipeline.js').NormalizerStep} NormalizerStep
+ * @typedef {string | NormalizerStep} Normalizer - A preset name or a normalizer function.
+ *
+ * @typedef {Object} PresetDefaults
+ * @property {boolean} [splitWords] - Forced `splitWords` while the preset is in use.
+ */
+
+function defaultNormalize(s) {
+  return s.normalize('NFD')
+    .replace(/\p{Diacritic}/gu, '')
+    .replace(/ß/g, 'ss')
+    .replace(/ä/g, 'ae')
+    .replace(/ö/g, 'oe')
+    .replace(/ü/g, 'ue')
+    .toLowerCase();
+}
+
+/**
+ * Built-in presets:
+ * - `'default'`: Case, diacritics and German umlauts insensitive (ä→ae, ß→ss, ...).
+ * - `'strict'`: Like `'default'`, but also drops everything except letters and digits.
+ * - `'lowercase'`: Converts text to lowercase.
+ * - `'trim'`: Removes leading and trailing spaces.
+ * - `'no-diacritics'`: Removes diacritical marks (accents).
+ * - `'de-german'`: Converts German umlauts and ß (ä→ae, ö→oe, ü→ue, ß→ss).
+ * - `'alnum'`: Keeps only letters and digits (removes spaces and punctuation).
+ * - `'iban'`: Removes spaces and converts to uppercase; the query is not split into words.
+ * - `'alpha'`: Keeps only basic Latin letters (a-z, A-Z), removes digits, punctuation and diacritics.
+ * - `'numeric'`: Keeps only digits (0-9), removes all other characters.
+ * - `'remove-punctuation'`: Removes common punctuation marks (.,!? etc).
+ * - `'whitespace-collapse'`: Replaces multiple spaces with a single space.
+ * - `'tr'`, `'pl'`, `'nordic'`, `'ru'`, `'uk'`: Locale packs, see `localePacks.js`.
+ *
+ * @type {Record<string, NormalizerStep[]>}
+ */
+export const normalizerPresets = {
+  default: [defaultNormalize],
+  strict: [
+    s => s.normalize('NFD'),
+    s => s.replace(/\p{Diacritic}/gu, ''),
+    s => s.replace(/ß/g, 'ss'),
+    s => s.replace(/ä/g, 'ae'),
+    s => s.replace(/ö/g, 'oe'),
+    s => s.replace(/ü/g, 'ue'),
+    s => s.replace(/[^a-z0-9]/gi, ''),
+    s => s.toLowerCase(),
+  ],
+  lowercase: [s => s.toLowerCase()],
+  trim: [createReplaceStep(/^\s+|\s+$/g, '')],
+  'no-diacritics': [s => s.normalize('NFD').replace(/[\u0300-\u036f]/g, '')],
+  'de-german': [
+    s => s.replace(/ß/g, 'ss').replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue'),
+  ],
+  alnum: [s => s.replace(/[^\p{L}\p{N}]/gu, '')],
+  iban: [s => s.replace(/\s+/g, '').toUpperCase()],
+  alpha: [
+    s => s
+      .normalize('NFD')                 // Remove diacritics
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-zA-Z]/g, ''),       // Keep only basic Latin letters
+  ],
+  numeric: [s => s.replace(/[^\d]/g, '')],
+  'remove-punctuation': [s => s.replace(/[.,\/#!$%\^&\*;:{}=\-_`~()]/g, '')],
+  'whitespace-collapse': [createReplaceStep(/\s+/g, ' ')],
+  ...localePacks,
+};
+
+/** @type {Record<string, PresetDefaults>} */
+const presetDefaults = {
+  iban: { splitWords: false },
+};
+
+const EMPTY_CHAIN = [];
+
+/** Resolved chains by input, so the same input keeps the same (cacheable) array. */
+let resolvedChains = new WeakMap();
+let resolvedNames = new Map();
+/** @type {Map<string, WeakMap<NormalizerStep[], NormalizerStep[]>>} pack name → chain → pack + chain */
+let localeChains = new Map();
+
+/**
+ * Registers (or overwrites) a preset for every highlighter.
+ *
+ * @param {string} name
+ * @param {NormalizerStep | NormalizerStep[]} steps
+ * @param {PresetDefaults} [defaults] - Options forced while the preset is used.
+ */
+export function registerNormalizerPreset(name, steps, defaults) {
+  const list = Array.isArray(steps) ? steps : [steps];
+  if (!list.length || list.some(fn => typeof fn !== 'function')) {
+    throw new Error('Normalizer preset must be a function or an array of functions');
+  }
+  if (normalizerPresets[name]) {
+    console.warn(`[highlight] Preset "${name}" will be overwritten.`);
+  }
+  normalizerPresets[name] = list;
+  if (defaults) presetDefaults[name] = defaults;
+  else delete presetDefaults[name];
+
+  resolvedChains = new WeakMap();
+  resolvedNames = new Map();
+  localeChains = new Map();
+}
+
+/**
+ * Looks a preset up by name (case-insensitive).
+ *
+ * @param {string} name
+ * @returns {NormalizerStep[] | undefined}
+ */
+function getPreset(name) {
+  return normalizerPresets[name] ?? normalizerPresets[name.toLowerCase()];
+}
+
+/**
+ * Resolves preset names and functions into one flat chain of steps.
+ * Unknown preset names are skipped with a warning. Resolving the same input
+ * again returns the same array.
+ *
+ * With a `locale` that has a pack (see `getLocalePackName()`), the pack runs first,
+ * so its case folding comes before any generic `toLowerCase()` of the chain.
+ *
+ * @param {Normalizer | Normalizer[]} input
+ * @param {string} [locale] - BCP 47 tag or `'auto'`.
+ * @returns {NormalizerStep[]}
+ */
+export function resolveNormalizers(input, locale) {
+  const chain = resolveChain(input);
+  const pack = locale ? getLocalePackName(locale) : null;
+  if (!pack) return chain;
+
+  if (!localeChains.has(pack)) localeChains.set(pack, new WeakMap());
+  const byChain = localeChains.get(pack);
+  if (!byChain.has(chain)) byChain.set(chain, [...(getPreset(pack) ?? []), ...chain]);
+  return byChain.get(chain);
+}
+
+/**
+ * @param {Normalizer | Normalizer[]} input
+ * @returns {NormalizerStep[]}
+ */
+function resolveChain(input) {
+  if (input == null) return EMPTY_CHAIN;
+  if (typeof input === 'string') {
+    if (!resolvedNames.has(input)) resolvedNames.set(input, flattenNormalizers([input]));
+    return resolvedNames.get(input);
+  }
+  if (!resolvedChains.has(input)) {
+    resolvedChains.set(input, flattenNormalizers(Array.isArray(input) ? input : [input]));
+  }
+  return resolvedChains.get(input);
+}
+
+/**
+ * @param {Normalizer[]} list
+ * @returns {NormalizerStep[]}
+ */
+function flattenNormalizers(list) {
+  return list.flatMap(item => {
+    if (typeof item === 'function') return [item];
+    if (typeof item === 'string') {
+      const preset = getPreset(item);
+      if (!preset) console.warn(`[highlight] Unknown normalizer preset "${item}" is ignored.`);
+      return preset ?? [];
+    }
+    return [];
+  });
+}
+
+/**
+ * Options forced by the presets in `input` (e.g. `'iban'` turns `splitWords` off).
+ *
+ * @param {Normalizer | Normalizer[]} input
+ * @returns {PresetDefaults}
+ */
+export function getPresetDefaults(input) {
+  const list = Array.isArray(input) ? input : [input];
+  return list.reduce((acc, item) => (
+    typeof item === 'string'
+      ? { ...acc, ...(presetDefaults[item] ?? presetDefaults[item.toLowerCase()]) }
+      : acc
+  ), {});
+}
@@ -0,0 +1,238 @@
+// control-matches.js
+
+import { adoptRootStyles } from '../highlightApi.js';
+import { markStyles } from '../matchStyles.js';
+import { toSegments } from '../highlightText.js';
+
+/** Attributes searched with `matchAttributes: true`. */
+const DEFAULT_ATTRIBUTES = ['title', 'aria-label'];
+/** Input types whose value is plain text worth searching (never `password` or `hidden`). */
+const TEXT_INPUT_TYPES = new Set(['text', 'search', 'email', 'url', 'tel', 'number']);
+
+/** Computed styles a value overlay copies from its control, so its text lies on the control's. */
+const MIRRORED_STYLES = [
+  'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'fontStretch', 'fontVariant',
+  'letterSpacing', 'wordSpacing', 'lineHeight', 'textTransform', 'textIndent', 'textAlign',
+  'tabSize', 'direction', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+  'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+];
+
+/**
+ * Controls and attributes can't contain marks, so hits are shown with an outline.
+ * Text inputs and textareas also get an overlay: a mirror of the value with marks,
+ * laid over the control (multiplied, so the control's own text stays readable).
+ * Adopted into the hit's root, like the active mark styles of the match cursor.
+ */
+const hitStyles = `
+  [data-query-hit] {
+    outline: var(--highlight-hit-outline, 2px solid var(--highlight-match-background, yellow));
+    outline-offset: 2px;
+  }
+
+  [data-query-hit][data-active] {
+    outline-color: var(--highlight-active-background, orange);
+  }
+
+  [data-query-overlay] {
+    position: absolute;
+    box-sizing: border-box;
+    margin: 0;
+    overflow: hidden;
+    border-style: solid;
+    border-color: transparent;
+    background: none;
+    color: transparent;
+    pointer-events: none;
+    mix-blend-mode: multiply;
+  }
+
+  [data-query-overlay] mark {
+    color: transparent;
+  }
+`;
+
+/** @type {Map<unknown, Element[]>} owner → elements marked with `data-query-hit` */
+const ownedHits = new Map();
+
+/** @type {Map<unknown, Array<() => void>>} owner → removers of its value overlays */
+const ownedOverlays = new Map();
+
+/**
+ * @typedef {Object} SearchableValue
+ * @property {Element} target - Element that shows the hit: the control or the attribute's element.
+ * @property {string} source - `'value'`, `'option'` or the attribute name.
+ * @property {string} text
+ */
+
+/**
+ * @param {Element} target
+ * @returns {boolean} Whether `target` shows its value as one text (text inputs, textareas).
+ */
+function isTextControl(target) {
+  return target instanceof HTMLTextAreaElement ||
+    (target instanceof HTMLInputElement && TEXT_INPUT_TYPES.has(target.type));
+}
+
+/**
+ * Collects attribute values and form values inside `el` (including `el` itself).
+ *
+ * - `matchAttributes`: attribute names, or `true` for `title` and `aria-label`.
+ * - `matchFormValues`: current values of text-like inputs and textareas, and option
+ *   texts of selects. Password and hidden inputs are never read.
+ *
+ * @param {Element} el
+ * @param {{ matchAttributes?: boolean | string[], matchFormValues?: boolean }} options
+ * @returns {SearchableValue[]}
+ */
+export function collectSearchableValues(el, { matchAttributes, matchFormValues }) {
+  const attributes = matchAttributes === true ? DEFAULT_ATTRIBUTES : matchAttributes || [];
+  const selector = [
+    ...attributes.map(name => `[${name}]`),
+    ...(matchFormValues ? ['input', 'textarea', 'select'] : []),
+  ].join(', ');
+  if (!selector) return [];
+
+  const found = Array.from(el.querySelectorAll(selector));
+  if (el.matches(selector)) found.unshift(el);
+
+  const values = [];
+  found.forEach(node => {
+    attributes.forEach(name => {
+      const text = node.getAttribute(name);
+      if (text?.trim()) values.push({ target: node, source: name, text });
+    });
+
+    if (!matchFormValues) return;
+    if (isTextControl(node)) {
+      values.push({ target: node, source: 'value', text: node.value });
+    } else if (node instanceof HTMLSelectElement) {
+      Array.from(node.options).forEach(option => {
+        values.push({ target: node, source: 'option', text: option.text });
+      });
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Replaces the elements `owner` marked with `data-query-hit`.
+ * The attribute lists the matched sources, e.g. `data-query-hit="value title"`.
+ *
+ * @param {unknown} owner
+ * @param {Map<Element, Set<string>>} hits - target → matched sources
+ * @param {Map<Element, import('../matchCore.js').MatchResult[]>} [valueMatches] - Hits in the
+ *   values of text inputs and textareas; they get an overlay with marks.
+ */
+export function setValueHits(owner, hits, valueMatches = new Map()) {
+  clearValueHits(owner);
+  if (!hits.size) return;
+
+  hits.forEach((sources, target) => {
+    adoptRootStyles(target, hitStyles);
+    target.setAttribute('data-query-hit', [...sources].join(' '));
+  });
+  ownedHits.set(owner, [...hits.keys()]);
+
+  const overlays = [];
+  valueMatches.forEach((matches, control) => {
+    const remove = createValueOverlay(control, matches);
+    if (remove) overlays.push(remove);
+  });
+  if (overlays.length) ownedOverlays.set(owner, overlays);
+}
+
+/**
+ * Lays a mirror of `control`'s value with marks around `matches` over the control.
+ * The mirror is the control's next sibling, positioned on it and following its scrolling and
+ * size; the control itself is not changed. Typing removes the (then outdated) overlay,
+ * the outline stays until the next pass.
+ *
+ * @param {HTMLInputElement | HTMLTextAreaElement} control
+ * @param {import('../matchCore.js').MatchResult[]} matches
+ * @returns {(() => void) | null} Removes the overlay.
+ */
+function createValueOverlay(control, matches) {
+  if (!control.parentNode || !matches.length) return null;
+
+  const mirror = document.createElement('div');
+  mirror.setAttribute('data-query-overlay', '');
+  mirror.setAttribute('aria-hidden', 'true');
+  // A single-line input centers its line and never wraps
+  const content = control instanceof HTMLInputElement ? document.createElement('span') : mirror;
+  if (content !== mirror) {
+    Object.assign(mirror.style, { display: 'flex', alignItems: 'center' });
+    Object.assign(content.style, { flex: 'none', whiteSpace: 'pre' });
+    mirror.append(content);
+  } else {
+    Object.assign(mirror.style, { whiteSpace: 'pre-wrap', overflowWrap: 'break-word' });
+  }
+
+  toSegments(control.value, matches).forEach(({ text, match, term, kind }) => {
+    if (!match) {
+      content.append(text);
+      return;
+    }
+    const mark = document.createElement('mark');
+    mark.textContent = text;
+    mark.dataset.term = String(term);
+    mark.dataset.match = kind;
+    content.append(mark);
+  });
+
+  const place = () => {
+    const style = getComputedStyle(control);
+    MIRRORED_STYLES.forEach(name => (mirror.style[name] = style[name]));
+    // The control's scrollbar narrows its text box
+    const scrollbar = control.offsetWidth - control.clientWidth -
+      parseFloat(style.borderLeftWidth) - parseFloat(style.borderRightWidth);
+    if (scrollbar > 0) mirror.style.paddingRight = `${parseFloat(style.paddingRight) + scrollbar}px`;
+    Object.assign(mirror.style, {
+      left: `${control.offsetLeft}px`,
+      top: `${control.offsetTop}px`,
+      width: `${control.offsetWidth}px`,
+      height: `${control.offsetHeight}px`,
+    });
+    scroll();
+  };
+  const scroll = () => {
+    mirror.scrollLeft = control.scrollLeft;
+    mirror.scrollTop = control.scrollTop;
+  };
+  const resizeObserver = typeof ResizeObserver === 'function' ? new ResizeObserver(place) : null;
+
+  const remove = () => {
+    resizeObserver?.disconnect();
+    control.removeEventListener('scroll', scroll);
+    control.removeEventListener('input', remove);
+    mirror.remove();
+  };
+
+  adoptRootStyles(control, markStyles);
+  control.after(mirror);
+  place();
+  resizeObserver?.observe(control);
+  control.addEventListener('scroll', scroll);
+  control.addEventListener('input', remove, { once: true });
+  return remove;
+}
+
+/**
+ * @param {unknown} owner
+ * @returns {Element[]} Elements currently marked by `owner`, in document order of marking.
+ */
+export function getValueHits(owner) {
+  return (ownedHits.get(owner) ?? []).filter(el => el.isConnected);
+}
+
+/**
+ * Removes `data-query-hit` from every element `owner` marked.
+ *
+ * @param {unknown} owner
+ */
+export function clearValueHits(owner) {
+  ownedHits.get(owner)?.forEach(el => el.removeAttribute('data-query-hit'));
+  ownedHits.delete(owner);
+  ownedOverlays.get(owner)?.forEach(remove => remove());
+  ownedOverlays.delete(owner);
+}
@@ -1,77 +1,249 @@
 import { LitElement } from 'lit';
 
 /**
- * A global subscription map where:
- * key → Set of subscriber callbacks
+ * Property channels: components publish a reactive property under a key and others receive it.
+ *
+ * A channel keeps the last value, so a component that connects later gets it right away,
+ * and skips values equal to the last one (`Object.is`, or its own `equals`).
+ * Subscriptions live from `connectedCallback` to `disconnectedCallback`, so a moved or
+ * re-attached component keeps receiving values.
+ *
  * Example:
- * 'search-key' → Set of (value) => { ... }
+ * ```js
+ * const selection = createPropertyChannel('selection', { equals: sameIds });
+ *
+ * class List extends SyncProperty(LitElement, { selected: selection, page: 'list-page' }) {}
+ * class Details extends SubscribeToProperty(LitElement, { item: selection }) {}
+ * ```
+ */
+
+/**
+ * @template T
+ * @typedef {Object} PropertyChannel
+ * @property {string} key
+ * @property {T | undefined} value - Last published value.
+ * @property {boolean} hasValue - False until the first publish (and after `clear()`).
+ * @property {(a: T, b: T) => boolean} equals
+ * @property {(value: T, source?: unknown, options?: { equals?: (a: T, b: T) => boolean }) => boolean} publish
+ *   Notifies subscribers other than `source`; returns false if the value equals the last one
+ *   (by `options.equals`, default the channel's) and nothing was sent.
+ * @property {(callback: (value: T, source?: unknown) => void, options?: { replay?: boolean, owner?: unknown }) => () => void} subscribe
+ *   With `replay` (default true) the callback gets the last value right away; values published
+ *   by `owner` itself are not sent back to it.
+ * @property {() => void} clear - Forgets the last value.
  */
-const subscriptions = new Map();
 
 /**
- * Modifier #1 — Tracks changes to a specific property and notifies all subscribers for the given key.
+ * How one property is bound: a channel key, a channel, or
+ * `{ key, equals?, replay? }` (`equals` overrides the channel's for this property,
+ * `replay: false` only receives values published after connecting).
+ *
+ * @typedef {string | PropertyChannel<unknown> | {
+ *   key: string | PropertyChannel<unknown>,
+ *   equals?: (a: unknown, b: unknown) => boolean,
+ *   replay?: boolean,
+ * }} PropertyBinding
+ */
+
+/** @type {WeakSet<PropertyChannel<unknown>>} */
+const channelObjects = new WeakSet();
+
+/**
+ * Values a component just received from its channels, until the update that applies them:
+ * component → property → value. They are not published back.
+ * @type {WeakMap<LitElement, Map<string, unknown>>}
+ */
+const receivedValues = new WeakMap();
+
+/**
+ * Shared channels by key:
+ * 'search-key' → PropertyChannel
+ * @type {Map<string, PropertyChannel<unknown>>}
+ */
+const channels = new Map();
+
+/**
+ * Creates a standalone channel; pass it instead of a string key to keep it private
+ * to the components that import it.
+ *
+ * @template T
+ * @param {string} key - Name for debugging.
+ * @param {{ equals?: (a: T, b: T) => boolean }} [options]
+ * @returns {PropertyChannel<T>}
+ */
+export function createPropertyChannel(key, { equals = Object.is } = {}) {
+  const subscribers = new Set();
+  let value;
+  let hasValue = false;
+
+  const channel = {
+    key,
+    equals,
+    get value() {
+      return value;
+    },
+    get hasValue() {
+      return hasValue;
+    },
+
+    publish(next, source, { equals: isEqual = equals } = {}) {
+      if (hasValue && isEqual(value, next)) return false;
+      value = next;
+      hasValue = true;
+      [...subscribers].forEach(({ callback, owner }) => {
+        if (owner === undefined || owner !== source) callback(next, source);
+      });
+      return true;
+    },
+
+    subscribe(callback, { replay = true, owner } = {}) {
+      const entry = { callback, owner };
+      subscribers.add(entry);
+      if (replay && hasValue) callback(value);
+      return () => subscribers.delete(entry);
+    },
+
+    clear() {
+      value = undefined;
+      hasValue = false;
+    },
+  };
+
+  channelObjects.add(channel);
+  return channel;
+}
+
+/**
+ * Shared channel for `key`, created on first use.
+ *
+ * @param {string | PropertyChannel<unknown>} key
+ * @returns {PropertyChannel<unknown>}
+ */
+export function getPropertyChannel(key) {
+  if (channelObjects.has(key)) return key;
+  if (!channels.has(key)) channels.set(key, createPropertyChannel(key));
+  return channels.get(key);
+}
+
+/**
+ * Accepts both `(prop, key)` and `({ prop: binding, ... })`.
+ *
+ * @param {string | Record<string, PropertyBinding>} propOrBindings
+ * @param {string | PropertyChannel<unknown>} [key]
+ * @returns {Array<{ prop: string, channel: PropertyChannel<unknown>, equals: Function, replay: boolean }>}
+ */
+function normalizeBindings(propOrBindings, key) {
+  const entries = typeof propOrBindings === 'string'
+    ? [[propOrBindings, key]]
+    : Object.entries(propOrBindings);
+
+  return entries.map(([prop, binding]) => {
+    const options = typeof binding === 'string' || channelObjects.has(binding) ? { key: binding } : binding;
+    const channel = getPropertyChannel(options.key);
+    return {
+      prop,
+      channel,
+      equals: options.equals ?? channel.equals,
+      replay: options.replay ?? true,
+    };
+  });
+}
+
+/**
+ * Publishes the bound properties after every update that changed them.
+ *
+ * @param {Array<{ prop: string, channel: PropertyChannel<unknown>, equals: Function }>} bindings
+ * @param {LitElement} host
+ * @param {Map<string, unknown>} changedProps
+ */
+function publishChanged(bindings, host, changedProps) {
+  const received = receivedValues.get(host);
+  bindings.forEach(({ prop, channel, equals }) => {
+    const fromChannel = received?.has(prop) && Object.is(received.get(prop), host[prop]);
+    received?.delete(prop);
+    // Echoing a received value would ping-pong between two-way bindings whose `equals`
+    // never matches; otherwise the binding's `equals` decides, e.g. `() => false`
+    // publishes a mutated array again
+    if (changedProps.has(prop) && !fromChannel) channel.publish(host[prop], host, { equals });
+  });
+}
+
+/**
+ * Modifier #1 — Tracks changes to properties and publishes them to their channels.
  *
  * @param {typeof LitElement} BaseClass - The base Lit component class
- * @param {string} watchedProp - The property name to observe for changes
- * @param {string} key - The shared subscription key
+ * @param {string | Record<string, PropertyBinding>} watchedProp - The property name to observe, or property → binding
+ * @param {string | PropertyChannel<unknown>} [key] - The channel key (with a property name)
  * @returns {typeof LitElement} - A new class with tracking functionality
  */
 export function TrackProperty(BaseClass, watchedProp, key) {
+  const bindings = normalizeBindings(watchedProp, key);
+
   return class extends BaseClass {
     updated(changedProps) {
       // Call the original updated() if defined
       super.updated?.(changedProps);
-
-      // If the tracked property changed, notify all subscribers for this key
-      if (changedProps.has(watchedProp)) {
-        const newValue = this[watchedProp];
-        const subs = subscriptions.get(key);
-        if (subs) {
-          for (const cb of subs) cb(newValue);
-        }
-      }
+      publishChanged(bindings, this, changedProps);
     }
   };
 }
 
 /**
- * Modifier #2 — Subscribes to changes from a shared key and updates a reactive property.
+ * Modifier #2 — Receives channel values into reactive properties while connected.
+ * Connecting replays the last value (unless `replay: false`).
  *
  * @param {typeof LitElement} BaseClass - The base Lit component class
- * @param {string} targetProp - The name of the reactive property to assign received values to
- * @param {string} key - The subscription key to listen on
+ * @param {string | Record<string, PropertyBinding>} targetProp - The property to assign received values to, or property → binding
+ * @param {string | PropertyChannel<unknown>} [key] - The channel key (with a property name)
  * @returns {typeof LitElement} - A new class with subscription logic
  */
 export function SubscribeToProperty(BaseClass, targetProp, key) {
+  const bindings = normalizeBindings(targetProp, key);
+  /** @type {WeakMap<LitElement, Array<() => void>>} */
+  const unsubscribers = new WeakMap();
+
   return class extends BaseClass {
     static properties = {
       ...super.properties,
-      [targetProp]: {}, // Make the target property reactive (any type)
+      // Make the target properties reactive (any type), keeping the base's own declarations
+      ...Object.fromEntries(bindings
+        .filter(({ prop }) => !super.properties?.[prop])
+        .map(({ prop, equals }) => [prop, { hasChanged: (value, old) => !equals(value, old) }])),
     };
 
-    constructor() {
-      super();
-
-      // Define the callback that receives new values
-      this._subscriptionCallback = (value) => {
-        this[targetProp] = value;
-      };
-
-      // Register the callback in the global subscription list
-      if (!subscriptions.has(key)) {
-        subscriptions.set(key, new Set());
-      }
-      subscriptions.get(key).add(this._subscriptionCallback);
+    connectedCallback() {
+      super.connectedCallback?.();
+      unsubscribers.get(this)?.forEach(unsubscribe => unsubscribe());
+      unsubscribers.set(this, bindings.map(({ prop, channel, equals, replay }) => channel.subscribe(
+        (value) => {
+          if (equals(this[prop], value)) return;
+          if (!receivedValues.has(this)) receivedValues.set(this, new Map());
+          receivedValues.get(this).set(prop, value);
+          this[prop] = value;
+        },
+        { replay, owner: this },
+      )));
     }
 
     disconnectedCallback() {
       super.disconnectedCallback?.();
 
-      // Remove subscription when component is disconnected
-      const subs = subscriptions.get(key);
-      if (subs) {
-        subs.delete(this._subscriptionCallback);
-      }
+      // Remove subscriptions when component is disconnected; connecting again resubscribes
+      unsubscribers.get(this)?.forEach(unsubscribe => unsubscribe());
+      unsubscribers.delete(this);
     }
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Modifier #3 — Two-way binding: receives channel values and publishes own changes.
+ * Components bound to the same channel stay in sync without echoing values back.
+ *
+ * @param {typeof LitElement} BaseClass - The base Lit component class
+ * @param {string | Record<string, PropertyBinding>} prop - The property to sync, or property → binding
+ * @param {string | PropertyChannel<unknown>} [key] - The channel key (with a property name)
+ * @returns {typeof LitElement}
+ */
+export function SyncProperty(BaseClass, prop, key) {
+  return TrackProperty(SubscribeToProperty(BaseClass, prop, key), prop, key);
+}
@@ -0,0 +1,52 @@
+// filter-animation.js
+
+/** @type {WeakMap<HTMLElement, { hidden: boolean, animation?: Animation, display: string }>} */
+const filterState = new WeakMap();
+
+/**
+ * Hides or shows an item filtered by a query, collapsing/expanding its height.
+ *
+ * Hiding uses inline `display: none` because a component's own `:host { display: ... }`
+ * wins over the `hidden` attribute. The element also gets a `filtered-out` attribute
+ * and becomes `inert` while hidden. Without WAAPI or with `prefers-reduced-motion`
+ * the change is applied immediately.
+ *
+ * @param {HTMLElement} el
+ * @param {boolean} hidden
+ * @param {{ duration?: number, easing?: string }} [options]
+ */
+export function setFilteredOut(el, hidden, { duration = 200, easing = 'ease' } = {}) {
+  const state = filterState.get(el) ?? { hidden: false, display: el.style.display };
+  if (state.hidden === hidden) return;
+
+  state.hidden = hidden;
+  filterState.set(el, state);
+  state.animation?.cancel();
+
+  el.toggleAttribute('filtered-out', hidden);
+  el.inert = hidden;
+
+  const reduceMotion = typeof matchMedia === 'function' &&
+    matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+  if (typeof el.animate !== 'function' || reduceMotion || !el.isConnected) {
+    el.style.display = hidden ? 'none' : state.display;
+    return;
+  }
+
+  if (!hidden) el.style.display = state.display;
+  const height = `${el.scrollHeight}px`;
+  const shown = { height, opacity: 1 };
+  const collapsed = { height: '0px', opacity: 0 };
+
+  el.style.overflow = 'hidden';
+  state.animation = el.animate(hidden ? [shown, collapsed] : [collapsed, shown], { duration, easing });
+  state.animation.finished
+    .then(() => {
+      if (hidden) el.style.display = 'none';
+    })
+    .catch(() => {}) // cancelled by a newer state
+    .finally(() => {
+      if (filterState.get(el)?.hidden === hidden) el.style.overflow = '';
+    });
+}
@@ -0,0 +1,108 @@
+// highlight-observer.js
+
+/** Text nodes handed to the callback at once. */
+const CHUNK_SIZE = 200;
+
+/**
+ * Runs `callback` when the browser is idle, falling back to the next animation frame.
+ * The callback receives the idle deadline (or `null` without `requestIdleCallback`).
+ *
+ * @param {(deadline: IdleDeadline | null) => void} callback
+ * @returns {() => void} Cancels the scheduled call.
+ */
+function scheduleIdle(callback) {
+  if (typeof requestIdleCallback === 'function') {
+    const id = requestIdleCallback(callback, { timeout: 200 });
+    return () => cancelIdleCallback(id);
+  }
+  if (typeof requestAnimationFrame === 'function') {
+    const id = requestAnimationFrame(() => callback(null));
+    return () => cancelAnimationFrame(id);
+  }
+  const id = setTimeout(() => callback(null), 16);
+  return () => clearTimeout(id);
+}
+
+/**
+ * Collects the Text nodes added or changed by `records`.
+ *
+ * @param {MutationRecord[]} records
+ * @param {Set<Text>} into
+ */
+function collectChangedText(records, into) {
+  records.forEach((record) => {
+    if (record.type === 'characterData') {
+      into.add(/** @type {Text} */ (record.target));
+      return;
+    }
+
+    record.addedNodes.forEach((node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        into.add(/** @type {Text} */ (node));
+      } else if (node.nodeType === Node.ELEMENT_NODE) {
+        const walker = document.createTreeWalker(node, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) into.add(/** @type {Text} */ (walker.currentNode));
+      }
+    });
+  });
+}
+
+/**
+ * Watches a container for new or changed text and reports the affected Text nodes
+ * in batches of at most `CHUNK_SIZE`, while the browser is idle, so large lists
+ * re-rendering at once don't block input.
+ *
+ * The highlighter mutates the DOM itself (marks, split text nodes). Call `discardRecords()`
+ * right after such a pass so those mutations are not reported back as changes.
+ *
+ * @param {(nodes: Text[]) => void} onTextChange
+ * @returns {{
+ *   observe: (container: Node) => void,
+ *   discardRecords: () => void,
+ *   clear: () => void,
+ *   disconnect: () => void,
+ * }}
+ */
+export function createHighlightObserver(onTextChange) {
+  const pending = new Set();
+  let cancelScheduled = null;
+
+  const run = (deadline) => {
+    cancelScheduled = null;
+
+    do {
+      const batch = Array.from(pending).slice(0, CHUNK_SIZE);
+      batch.forEach((node) => pending.delete(node));
+      onTextChange(batch);
+    } while (pending.size && deadline && deadline.timeRemaining() > 0);
+
+    if (pending.size) cancelScheduled = scheduleIdle(run);
+  };
+
+  const observer = new MutationObserver((records) => {
+    collectChangedText(records, pending);
+    if (pending.size && !cancelScheduled) cancelScheduled = scheduleIdle(run);
+  });
+
+  return {
+    observe(container) {
+      observer.observe(container, { childList: true, subtree: true, characterData: true });
+    },
+
+    discardRecords() {
+      observer.takeRecords();
+    },
+
+    /** Drops queued nodes, e.g. after a full pass already covered them. */
+    clear() {
+      pending.clear();
+      cancelScheduled?.();
+      cancelScheduled = null;
+    },
+
+    disconnect() {
+      observer.disconnect();
+      this.clear();
+    },
+  };
+}
@@ -5,7 +5,13 @@ import { mixinQuerySync } from './query-manager.js';
 
 /**
  * HighlightTarget component
- * Reacts to query changes and highlights matching text
+ * Reacts to query changes and highlights matching text.
+ * With the `observe` attribute, text rendered or loaded later is highlighted as well.
+ * Nested targets of the same key (also inside shadow roots) highlight their own content;
+ * `has-shadow-match` and `shadowMatchCount` reflect their matches once all of them settled.
+ *
+ * Marks are coloured per query term; set `--highlight-term-<n>-background`,
+ * `--highlight-normalized-*` or `--highlight-fuzzy-*` on the target to theme them (see `matchStyles.js`).
  */
 class HighlightTarget extends mixinQuerySync(LitElement, {
   type: 'target',
@@ -38,6 +44,14 @@ class HighlightTarget extends mixinQuerySync(LitElement, {
     }
   `;
 
+  /**
+   * The slotted light DOM is the content: it is highlighted in place.
+   * @returns {Element}
+   */
+  get _highlightContainer() {
+    return this;
+  }
+
   render() {
     return html`<slot></slot>`;
   }
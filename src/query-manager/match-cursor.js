@@ -0,0 +1,127 @@
+// match-cursor.js
+
+import { adoptRootStyles, setHighlightRanges, clearHighlightRanges, ACTIVE_HIGHLIGHT_NAME } from '../highlightApi.js';
+
+/**
+ * Styles for the active hit. Marks live in the light DOM of the targets,
+ * so they are adopted into the mark's own root instead of a component's shadow styles.
+ */
+const activeMarkStyles = `
+  mark[data-active] {
+    background-color: var(--highlight-active-background, orange);
+    outline: var(--highlight-active-outline, 2px solid currentColor);
+  }
+`;
+
+/**
+ * @typedef {Object} MatchCursorState
+ * @property {number} index - Index of the active hit, -1 when none is active.
+ * @property {number} total - Number of hits across all owners.
+ */
+
+/**
+ * Creates a cursor over the hits of several owners (usually every
+ * `highlight-target` sharing one key). Hits are ordered by owner position in
+ * the document and by their order inside each owner.
+ *
+ * A hit is either a `<mark>` element (marked with `data-active`) or a Highlight API
+ * Range (moved into the `highlight-match-active` highlight).
+ *
+ * @returns {{
+ *   setMatches: (owner: Element, hits: Array<Element | Range>) => void,
+ *   removeOwner: (owner: Element) => void,
+ *   next: () => Element | Range | null,
+ *   prev: () => Element | Range | null,
+ *   select: (hit: Element | Range) => Element | Range | null,
+ *   readonly index: number,
+ *   readonly total: number,
+ *   readonly matches: Array<Element | Range>,
+ *   subscribe: (callback: (state: MatchCursorState) => void) => () => void,
+ * }}
+ */
+export function createMatchCursor() {
+  const owners = new Map();
+  const listeners = new Set();
+  let ordered = [];
+  let index = -1;
+  const activeRangeOwner = {};
+
+  const deactivate = (hit = ordered[index]) => {
+    if (hit instanceof Range) clearHighlightRanges(activeRangeOwner);
+    else hit?.removeAttribute('data-active');
+  };
+
+  const notify = () => {
+    const state = { index, total: ordered.length };
+    listeners.forEach((cb) => cb(state));
+  };
+
+  // The active hit stays active while it is one of the hits (e.g. marks kept by an incremental pass)
+  const rebuild = () => {
+    const active = ordered[index];
+    ordered = Array.from(owners.keys())
+      .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))
+      .flatMap((owner) => owners.get(owner));
+    index = active ? ordered.indexOf(active) : -1;
+    if (index < 0) deactivate(active);
+    notify();
+  };
+
+  const activate = (nextIndex) => {
+    if (!ordered.length) return null;
+    deactivate();
+    index = (nextIndex + ordered.length) % ordered.length;
+
+    const hit = ordered[index];
+    if (hit instanceof Range) {
+      setHighlightRanges(activeRangeOwner, [hit], ACTIVE_HIGHLIGHT_NAME);
+      hit.startContainer.parentElement?.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    } else {
+      adoptRootStyles(hit, activeMarkStyles);
+      hit.setAttribute('data-active', '');
+      hit.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
+    notify();
+    return hit;
+  };
+
+  return {
+    setMatches(owner, hits) {
+      if (hits.length) owners.set(owner, hits);
+      else owners.delete(owner);
+      rebuild();
+    },
+
+    removeOwner(owner) {
+      if (!owners.has(owner)) return;
+      owners.delete(owner);
+      rebuild();
+    },
+
+    next: () => activate(index + 1),
+    prev: () => activate(index < 0 ? -1 : index - 1),
+
+    /** Makes `hit` the active one, if it is one of the current hits. */
+    select(hit) {
+      const hitIndex = ordered.indexOf(hit);
+      return hitIndex < 0 ? null : activate(hitIndex);
+    },
+
+    get index() {
+      return index;
+    },
+
+    get total() {
+      return ordered.length;
+    },
+
+    get matches() {
+      return ordered.slice();
+    },
+
+    subscribe(callback) {
+      listeners.add(callback);
+      return () => listeners.delete(callback);
+    },
+  };
+}
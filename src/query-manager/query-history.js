@@ -0,0 +1,53 @@
+// query-history.js
+
+/** localStorage name prefix of the recent-query lists. */
+const STORAGE_PREFIX = 'query-history:';
+
+/**
+ * @param {string} key
+ * @returns {string[]} Recent queries of `key`, newest first.
+ */
+export function getQueryHistory(key) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_PREFIX + key) ?? '[]');
+    return Array.isArray(stored) ? stored.filter((entry) => typeof entry === 'string') : [];
+  } catch {
+    // Storage disabled (privacy mode, sandboxed frame) or a broken entry
+    return [];
+  }
+}
+
+/**
+ * Moves `value` to the front of the history of `key` and keeps at most `limit` entries.
+ * Repeated queries are stored once (compared case-insensitively).
+ *
+ * @param {string} key
+ * @param {string} value
+ * @param {number} [limit=10]
+ * @returns {string[]} The updated history.
+ */
+export function addQueryHistory(key, value, limit = 10) {
+  const query = value?.trim();
+  const history = getQueryHistory(key);
+  if (!query || limit <= 0) return history;
+
+  const updated = [query, ...history.filter((entry) => entry.toLowerCase() !== query.toLowerCase())]
+    .slice(0, limit);
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(updated));
+  } catch {
+    // Quota exceeded or storage disabled: the history just isn't kept
+  }
+  return updated;
+}
+
+/**
+ * @param {string} key
+ */
+export function clearQueryHistory(key) {
+  try {
+    localStorage.removeItem(STORAGE_PREFIX + key);
+  } catch {
+    // Nothing was stored
+  }
+}
@@ -0,0 +1,190 @@
+// query-index.js
+
+import { resolveMatchOptions, getQueryTerms, normalizeTerm, matchTerms } from '../matchCore.js';
+import { parseQuery, evaluateQuery } from './query-parser.js';
+
+/**
+ * Search indexes describe data a target can't match in its DOM: rows of other pages,
+ * virtualized rows that are not rendered, server-side results.
+ *
+ * An index is one of:
+ * - a plain object `{ items: Array<{ id, text } | { id, fields: Record<string, string> }> }`,
+ *   searched locally with the same matching options as the targets (`field:` terms use `fields`);
+ * - an object with `search(query, context)`;
+ * - a provider function `(query, context) => result`.
+ *
+ * `search`/providers may be async and get `{ options, signal }`; the signal aborts when a newer
+ * query arrives. They return `{ count, ids }` (ids may be a subset of `count`) or an array of ids.
+ * An optional `reveal(id)` renders/scrolls to a row and may return its element.
+ *
+ * @typedef {{ id: string, text?: string, fields?: Record<string, string> }} IndexItem
+ * @typedef {{ count?: number, ids?: string[] } | string[]} IndexSearchResult
+ * @typedef {(query: string, context: { options: object, signal: AbortSignal }) => IndexSearchResult | Promise<IndexSearchResult>} IndexProvider
+ * @typedef {IndexProvider | {
+ *   items?: IndexItem[],
+ *   search?: IndexProvider,
+ *   reveal?: (id: string) => Element | void | Promise<Element | void>,
+ * }} QueryIndex
+ *
+ * @typedef {Object} IndexResult
+ * @property {QueryIndex} index
+ * @property {number} count
+ * @property {string[]} ids
+ * @property {unknown} [error] - Set when the search failed; `count` is 0 then.
+ *
+ * @typedef {Object} IndexResults
+ * @property {string} query
+ * @property {boolean} pending - A search is still running.
+ * @property {number} count - Matches over all indexes.
+ * @property {IndexResult[]} results
+ */
+
+/**
+ * Searches the `items` of a plain object index.
+ *
+ * @param {IndexItem[]} items
+ * @param {string} query
+ * @param {object} options
+ * @param {object} matchDefaults
+ * @returns {string[]} Ids of the matching items.
+ */
+function searchItems(items, query, options, matchDefaults) {
+  const resolved = resolveMatchOptions(options, matchDefaults);
+  const firstHitOnly = { ...resolved, multipleMatches: false };
+  const textOf = (item, field) => String(
+    field ? item.fields?.[field] ?? '' : item.text ?? Object.values(item.fields ?? {}).join(' ')
+  );
+
+  let matches;
+  if (options.querySyntax) {
+    const fields = new Set(items.flatMap(item => Object.keys(item.fields ?? {})));
+    const { ast } = parseQuery(query, { fields });
+    matches = item => evaluateQuery(ast, term =>
+      matchTerms(textOf(item, term.field), [normalizeTerm(term.value, resolved)], firstHitOnly).length > 0);
+  } else {
+    const terms = getQueryTerms(query, resolved);
+    matches = item => matchTerms(textOf(item), terms, firstHitOnly).length > 0;
+  }
+
+  return items.filter(matches).map(item => item.id);
+}
+
+/**
+ * @param {IndexSearchResult} result
+ * @returns {{ count: number, ids: string[] }}
+ */
+function normalizeResult(result) {
+  if (Array.isArray(result)) return { count: result.length, ids: result };
+  const ids = result?.ids ?? [];
+  return { count: result?.count ?? ids.length, ids };
+}
+
+/**
+ * Index registry of one query store.
+ *
+ * @param {object} matchDefaults - Defaults of the DOM highlighter, so plain indexes match like targets.
+ */
+export function createIndexRegistry(matchDefaults) {
+  const indexes = new Map();
+  const results = new Map();
+  const listeners = new Map();
+  const searches = new Map();
+
+  const emptyResults = (query = '') => ({ query, pending: false, count: 0, results: [] });
+
+  const publish = (key, value) => {
+    results.set(key, value);
+    listeners.get(key)?.forEach((cb) => cb(value));
+  };
+
+  /**
+   * @param {QueryIndex} index
+   * @param {string} query
+   * @param {object} options
+   * @param {AbortSignal} signal
+   * @returns {Promise<IndexResult>}
+   */
+  const runIndex = async (index, query, options, signal) => {
+    try {
+      const raw = typeof index === 'function'
+        ? await index(query, { options, signal })
+        : index.search
+          ? await index.search(query, { options, signal })
+          : searchItems(index.items ?? [], query, options, matchDefaults);
+      return { index, ...normalizeResult(raw) };
+    } catch (error) {
+      if (error?.name !== 'AbortError') console.warn('[query-index] search failed:', error);
+      return { index, count: 0, ids: [], error };
+    }
+  };
+
+  return {
+    /**
+     * Searches every index of `key`; a newer call aborts the running one.
+     *
+     * @param {string} key
+     * @param {string} query
+     * @param {object} [options]
+     * @returns {Promise<void>}
+     */
+    async search(key, query, options = {}) {
+      searches.get(key)?.abort();
+      searches.delete(key);
+
+      const registered = Array.from(indexes.get(key) ?? []);
+      if (!registered.length && !results.has(key)) return;
+      if (!query?.trim() || !registered.length) {
+        publish(key, emptyResults(query ?? ''));
+        return;
+      }
+
+      const controller = new AbortController();
+      searches.set(key, controller);
+      publish(key, { ...(results.get(key) ?? emptyResults()), query, pending: true });
+
+      const settled = await Promise.all(
+        registered.map((index) => runIndex(index, query, options, controller.signal))
+      );
+      if (controller.signal.aborted) return;
+
+      searches.delete(key);
+      publish(key, {
+        query,
+        pending: false,
+        count: settled.reduce((sum, result) => sum + result.count, 0),
+        results: settled,
+      });
+    },
+
+    register(key, index) {
+      if (!indexes.has(key)) indexes.set(key, new Set());
+      indexes.get(key).add(index);
+      return () => indexes.get(key)?.delete(index);
+    },
+
+    has: (key) => Boolean(indexes.get(key)?.size),
+
+    /** @returns {IndexResults} */
+    getResults: (key) => results.get(key) ?? emptyResults(),
+
+    subscribe(key, callback) {
+      if (!listeners.has(key)) listeners.set(key, new Set());
+      listeners.get(key).add(callback);
+      return () => listeners.get(key)?.delete(callback);
+    },
+
+    /**
+     * Asks the index that reported `id` (or any index that can) to reveal it.
+     *
+     * @param {string} key
+     * @param {string} id
+     * @returns {Promise<Element | null>}
+     */
+    async reveal(key, id) {
+      const reported = results.get(key)?.results.find((result) => result.ids.includes(id))?.index;
+      const candidates = reported ? [reported] : Array.from(indexes.get(key) ?? []);
+      const index = candidates.find((candidate) => typeof candidate?.reveal === 'function');
+      return (await index?.reveal(id)) ?? null;
+    },
+  };
+}
@@ -1,11 +1,83 @@
 // query-input.js
 
-import { html, css, LitElement } from 'lit';
+import { html, css, nothing, LitElement } from 'lit';
 import { mixinQuerySync } from './query-manager.js';
+import { parseQuery } from './query-parser.js';
+import { throttle, debounce } from './trottling.js';
+import { getQueryHistory, addQueryHistory, clearQueryHistory } from './query-history.js';
+
+/** Characters that extend a hit to the whole word offered as a suggestion. */
+const WORD_BEFORE = /[\p{L}\p{N}_'-]+$/u;
+const WORD_AFTER = /^[\p{L}\p{N}_'-]+/u;
+
+/**
+ * @typedef {Object} QuerySuggestion
+ * @property {string} text
+ * @property {'history' | 'suggestion'} type
+ */
+
+/**
+ * Custom suggestions, called on every input; replaces the suggestions taken from the hits.
+ * The signal aborts when the value changes again.
+ *
+ * @typedef {(value: string, context: { key: string, signal: AbortSignal }) => string[] | Promise<string[]>} SuggestionProvider
+ */
+
+/**
+ * Words of the current hits, most frequent first. A hit inside a word ("app" in "apple")
+ * suggests the whole word.
+ *
+ * @param {Array<Element | Range>} hits - Hits of the match cursor.
+ * @returns {string[]}
+ */
+function collectHitWords(hits) {
+  const counts = new Map();
+
+  hits.forEach((hit) => {
+    let word;
+    if (hit instanceof Range) {
+      const text = hit.startContainer.data ?? '';
+      const end = hit.startContainer === hit.endContainer ? hit.endOffset : text.length;
+      word = (text.slice(0, hit.startOffset).match(WORD_BEFORE)?.[0] ?? '') +
+        text.slice(hit.startOffset, end) +
+        (text.slice(end).match(WORD_AFTER)?.[0] ?? '');
+    } else if (hit.localName === 'mark') {
+      const before = hit.previousSibling?.nodeType === Node.TEXT_NODE ? hit.previousSibling.data : '';
+      const after = hit.nextSibling?.nodeType === Node.TEXT_NODE ? hit.nextSibling.data : '';
+      word = (before.match(WORD_BEFORE)?.[0] ?? '') + hit.textContent + (after.match(WORD_AFTER)?.[0] ?? '');
+    } else {
+      // Attribute/form value hits: the value may be long or private, don't offer it
+      return;
+    }
+
+    word = word.trim();
+    if (word) counts.set(word, (counts.get(word) ?? 0) + 1);
+  });
+
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([word]) => word);
+}
 
 /**
  * <query-input> component
- * Acts as the source of query input and sets the query into the shared store
+ * Acts as the source of query input and sets the query into the shared store.
+ *
+ * For large documents, `options.debounce` (ms after the last keystroke) or `options.throttle`
+ * (at most once per ms) limits how often targets re-highlight; combine with `options.async`
+ * so targets highlight in slices and drop outdated passes.
+ *
+ * Suggestions (an ARIA combobox, Arrow keys + Enter to pick one):
+ * - `history-size`: keeps that many recent queries per key in localStorage (0 = off);
+ * - `suggest`: offers the words of the current hits in the targets;
+ * - `suggestionProvider`: custom suggestions instead of the hit words;
+ * - `<option slot="suggestions">`: static suggestions.
+ *
+ * `locale` (default `'auto'`, the page's `<html lang>`) picks the language's normalizer pack,
+ * e.g. `locale="tr"` finds "İstanbul" for "istanbul" (see `localePacks.js`); an explicit
+ * `options.locale` wins.
+ *
+ * Escape closes the list, a second Escape (or the clear button) clears the field and the highlights.
+ *
+ * @fires query-clear - After the field was cleared by the user.
  */
 class QueryInput extends mixinQuerySync(LitElement, {
   type: 'source',
@@ -15,41 +87,449 @@ class QueryInput extends mixinQuerySync(LitElement, {
   static properties = {
     key: { type: String, reflect: true },
     options: { type: Object }, // highlightOptions
+    locale: { type: String, reflect: true },
+    value: { type: String },
+    placeholder: { type: String },
+    historySize: { type: Number, attribute: 'history-size' },
+    suggest: { type: Boolean },
+    maxSuggestions: { type: Number, attribute: 'max-suggestions' },
+    suggestionProvider: { attribute: false },
+    _matchStatus: { state: true },
+    _diagnostics: { state: true },
+    _history: { state: true },
+    _hitWords: { state: true },
+    _providerWords: { state: true },
+    _slottedWords: { state: true },
+    _open: { state: true },
+    _activeIndex: { state: true },
   };
 
   constructor() {
     super();
     this.options = {};
+    this.locale = 'auto';
+    this.value = '';
+    this.placeholder = 'Type to search...';
+    this.historySize = 0;
+    this.suggest = false;
+    this.maxSuggestions = 8;
+    this.suggestionProvider = null;
+    this._matchStatus = '';
+    this._diagnostics = [];
+    this._history = [];
+    this._hitWords = [];
+    this._providerWords = [];
+    this._slottedWords = [];
+    this._open = false;
+    this._activeIndex = -1;
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    // Keep the field in sync with values restored from the URL/storage or set elsewhere
+    const store = this.activeQueryStore;
+    this.value = store.getQuery(this.queryKey) ?? '';
+    this.__unsubValue = store.subscribeQuery(this.queryKey, (value) => {
+      this.value = value ?? '';
+    });
+    this.__unsubCursor = store.getMatchCursor(this.queryKey).subscribe(({ index, total }) => {
+      this._matchStatus = this._formatMatchStatus(index, total);
+      if (this.suggest) this._hitWords = collectHitWords(store.getMatchCursor(this.queryKey).matches);
+    });
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.__unsubValue?.();
+    this.__unsubCursor?.();
+    this._sendQuery?.cancel?.();
+    this.__provider?.abort();
+  }
+
+  willUpdate(changedProps) {
+    super.willUpdate?.(changedProps);
+    // A template may pass a new options object on every render: rebuild the limiter (and drop
+    // the pending keystroke) only when its timing really changed
+    const { debounce: wait, throttle: limit } = this.options ?? {};
+    if (!this._sendQuery || wait !== this.__sendWait || limit !== this.__sendLimit) {
+      this._sendQuery?.cancel?.();
+      this.__sendWait = wait;
+      this.__sendLimit = limit;
+      const send = (value) => this.updateQuery(value);
+      this._sendQuery = wait ? debounce(send, wait) : limit ? throttle(send, limit) : send;
+    }
+    if (changedProps.has('locale') && this.hasUpdated && this.value) {
+      this.updateQuery(this.value);
+    }
+    if (changedProps.has('historySize') || changedProps.has('key')) {
+      this._history = this.historySize > 0 ? getQueryHistory(this.queryKey).slice(0, this.historySize) : [];
+    }
   }
 
   static styles = css`
     :host {
       display: block;
+      position: relative;
       margin: 1rem 0;
     }
 
+    .field {
+      position: relative;
+    }
+
     input {
       width: 100%;
       font-size: 1rem;
-      padding: 0.5rem;
+      padding: 0.5rem 2rem 0.5rem 0.5rem;
       box-sizing: border-box;
     }
+
+    .clear {
+      position: absolute;
+      top: 50%;
+      right: 0.25rem;
+      transform: translateY(-50%);
+      border: none;
+      background: none;
+      font-size: 1rem;
+      cursor: pointer;
+    }
+
+    .popup {
+      position: absolute;
+      z-index: 1;
+      left: 0;
+      right: 0;
+      background: var(--query-input-popup-background, #fff);
+      border: 1px solid #ccc;
+      border-top: none;
+      box-shadow: 0 4px 8px rgb(0 0 0 / 10%);
+    }
+
+    [role='listbox'] {
+      list-style: none;
+      margin: 0;
+      padding: 0;
+    }
+
+    [role='option'] {
+      padding: 0.375rem 0.5rem;
+      cursor: pointer;
+    }
+
+    [role='option'][aria-selected='true'] {
+      background: var(--query-input-active-background, #e8f0fe);
+    }
+
+    [role='option'][data-type='history']::before {
+      content: '↺ ';
+      opacity: 0.6;
+    }
+
+    .clear-history {
+      display: block;
+      width: 100%;
+      padding: 0.25rem 0.5rem;
+      border: none;
+      border-top: 1px solid #eee;
+      background: none;
+      text-align: end;
+      font-size: 0.8125rem;
+      cursor: pointer;
+    }
+
+    .diagnostics {
+      margin: 0.25rem 0 0;
+      font-size: 0.875rem;
+      color: #b00020;
+    }
+
+    .status {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      overflow: hidden;
+      clip: rect(0 0 0 0);
+      white-space: nowrap;
+    }
   `;
 
   render() {
+    const suggestions = this._suggestions;
+    const open = this._open && suggestions.length > 0;
+    const active = open && this._activeIndex >= 0 ? `suggestion-${this._activeIndex}` : nothing;
+
     return html`
-      <input
-        type="text"
-        @input=${this._onInput}
-        placeholder="Type to search..."
-        aria-label="Search"
-      />
+      <div class="field">
+        <input
+          type="text"
+          role="combobox"
+          .value=${this.value}
+          @input=${this._onInput}
+          @keydown=${this._onKeydown}
+          @change=${this._rememberQuery}
+          @focus=${this._onFocus}
+          @blur=${this._closeSuggestions}
+          placeholder=${this.placeholder}
+          aria-label="Search"
+          aria-autocomplete="list"
+          aria-expanded=${open ? 'true' : 'false'}
+          aria-controls="suggestions"
+          aria-activedescendant=${active}
+          aria-invalid=${this._diagnostics.some(d => d.severity === 'error') ? 'true' : 'false'}
+          aria-describedby="diagnostics"
+        />
+        <button
+          class="clear"
+          part="clear-button"
+          type="button"
+          aria-label="Clear search"
+          ?hidden=${!this.value}
+          @click=${this._onClearClick}
+        >✕</button>
+      </div>
+      <div class="popup" part="suggestions" ?hidden=${!open}>
+        <ul id="suggestions" role="listbox" aria-label="Suggestions">
+          ${suggestions.map((item, i) => html`
+            <li
+              id="suggestion-${i}"
+              role="option"
+              part="suggestion"
+              data-type=${item.type}
+              aria-selected=${i === this._activeIndex ? 'true' : 'false'}
+              @mousedown=${this._keepFocus}
+              @click=${() => this._selectSuggestion(item.text)}
+            >${item.text}</li>
+          `)}
+        </ul>
+        ${suggestions.some(item => item.type === 'history') ? html`
+          <button type="button" class="clear-history" @mousedown=${this._keepFocus} @click=${this.clearHistory}>
+            Clear history
+          </button>
+        ` : nothing}
+      </div>
+      <slot name="suggestions" hidden @slotchange=${this._onSuggestionsSlotChange}></slot>
+      <p id="diagnostics" class="diagnostics" part="diagnostics" ?hidden=${!this._diagnostics.length}>
+        ${this._diagnostics.map(d => d.message).join(' ')}
+      </p>
+      <span class="status" role="status" aria-live="polite">${this._matchStatus}</span>
     `;
   }
 
+  _queryOptions() {
+    return { locale: this.locale || undefined, ...super._queryOptions() };
+  }
+
+  /**
+   * Clears the field and the highlights of the key.
+   */
+  clear() {
+    this._sendQuery?.cancel?.();
+    this.__provider?.abort();
+    this.value = '';
+    this._diagnostics = [];
+    this._providerWords = [];
+    this._activeIndex = -1;
+    this.updateQuery('');
+  }
+
+  /**
+   * Forgets the recent queries of this key.
+   */
+  clearHistory() {
+    clearQueryHistory(this.queryKey);
+    this._history = [];
+  }
+
+  /**
+   * History entries containing the value first, then the slotted, provided or hit suggestions.
+   * @returns {QuerySuggestion[]}
+   */
+  get _suggestions() {
+    const value = this.value.trim().toLowerCase();
+    const seen = new Set([value]);
+    const items = [];
+    const add = (text, type) => {
+      const normalized = text.trim().toLowerCase();
+      if (!normalized || seen.has(normalized)) return;
+      seen.add(normalized);
+      items.push({ text: text.trim(), type });
+    };
+
+    this._history.filter(entry => entry.toLowerCase().includes(value)).forEach(entry => add(entry, 'history'));
+    if (value) {
+      this._slottedWords.filter(word => word.toLowerCase().includes(value)).forEach(word => add(word, 'suggestion'));
+      const words = this.suggestionProvider ? this._providerWords : this.suggest ? this._hitWords : [];
+      words.forEach(word => add(word, 'suggestion'));
+    }
+    return items.slice(0, this.maxSuggestions);
+  }
+
   _onInput(e) {
     const value = e.target.value;
-    this.updateQuery(value); // метод из mixin: вызывает setQuery()
+    this.value = value;
+    this._activeIndex = -1;
+    this._open = true;
+    if (this.options?.querySyntax) this._reportDiagnostics(value);
+    this._requestSuggestions(value);
+    this._sendQuery(value); // updateQuery() из mixin, с debounce/throttle из options
+  }
+
+  _onFocus() {
+    this._open = true;
+  }
+
+  _closeSuggestions() {
+    this._open = false;
+    this._activeIndex = -1;
+  }
+
+  /** Options and buttons of the popup must not take the focus from the input. */
+  _keepFocus(e) {
+    e.preventDefault();
+  }
+
+  _onClearClick() {
+    this.clear();
+    this._closeSuggestions();
+    this.renderRoot.querySelector('input')?.focus();
+    this._dispatchClear();
+  }
+
+  _dispatchClear() {
+    this.dispatchEvent(new CustomEvent('query-clear', {
+      bubbles: true,
+      composed: true,
+      detail: { key: this.queryKey },
+    }));
+  }
+
+  /**
+   * Asks `suggestionProvider` for suggestions; an answer for an outdated value is dropped.
+   * @param {string} value
+   */
+  _requestSuggestions(value) {
+    this.__provider?.abort();
+    if (!this.suggestionProvider || !value.trim()) {
+      this._providerWords = [];
+      return;
+    }
+
+    const controller = new AbortController();
+    this.__provider = controller;
+    Promise.resolve(this.suggestionProvider(value, { key: this.queryKey, signal: controller.signal }))
+      .then((words) => {
+        if (!controller.signal.aborted) this._providerWords = Array.isArray(words) ? words.map(String) : [];
+      }, (err) => {
+        if (err?.name !== 'AbortError') console.warn('[query-input] suggestionProvider failed:', err);
+      });
+  }
+
+  /**
+   * `<option slot="suggestions">` elements are read, the list itself is rendered in the
+   * shadow root so the combobox and its options share one tree for ARIA references.
+   * @param {Event} e
+   */
+  _onSuggestionsSlotChange(e) {
+    this._slottedWords = e.target.assignedElements()
+      .flatMap(el => (el.localName === 'option' ? [el] : Array.from(el.querySelectorAll('option'))))
+      .map(option => option.value || option.textContent);
+  }
+
+  /**
+   * Takes a suggestion: the query is sent right away (no debounce) and remembered.
+   * @param {string} text
+   */
+  _selectSuggestion(text) {
+    this._sendQuery?.cancel?.();
+    this.value = text;
+    if (this.options?.querySyntax) this._reportDiagnostics(text);
+    this.updateQuery(text);
+    this._rememberQuery();
+    this._closeSuggestions();
+  }
+
+  _rememberQuery() {
+    if (this.historySize > 0) this._history = addQueryHistory(this.queryKey, this.value, this.historySize);
+  }
+
+  /**
+   * Parses the query with the fields of the targets, as they do, and reports problems
+   * instead of letting the matcher throw.
+   * @param {string} value
+   */
+  _reportDiagnostics(value) {
+    const fields = this.activeQueryStore.getQueryFields(this.queryKey);
+    const { diagnostics } = parseQuery(value, { fields });
+    this._diagnostics = diagnostics;
+    this.dispatchEvent(new CustomEvent('query-diagnostics', {
+      bubbles: true,
+      composed: true,
+      detail: { key: this.queryKey, query: value, diagnostics },
+    }));
+  }
+
+  /**
+   * Arrow keys move through the suggestions and Enter takes the active one.
+   * Otherwise Enter jumps to the next hit, Shift+Enter to the previous one.
+   * Escape closes the suggestions, or clears the field when they are closed.
+   * @param {KeyboardEvent} e
+   */
+  _onKeydown(e) {
+    const count = this._suggestions.length;
+    const open = this._open && count > 0;
+
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp': {
+        if (!count) return;
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        this._open = true;
+        // -1 (back in the field) is part of the cycle
+        this._activeIndex = open
+          ? (this._activeIndex + 1 + step + count + 1) % (count + 1) - 1
+          : step > 0 ? 0 : count - 1;
+        return;
+      }
+      case 'Escape':
+        if (open) {
+          e.preventDefault();
+          this._closeSuggestions();
+        } else if (this.value) {
+          e.preventDefault();
+          this.clear();
+          this._dispatchClear();
+        }
+        return;
+      case 'Enter': {
+        e.preventDefault();
+        if (open && this._activeIndex >= 0) {
+          this._selectSuggestion(this._suggestions[this._activeIndex].text);
+          return;
+        }
+        this._rememberQuery();
+        const cursor = this.activeQueryStore.getMatchCursor(this.queryKey);
+        if (e.shiftKey) cursor.prev();
+        else cursor.next();
+        return;
+      }
+      case 'Tab':
+        this._closeSuggestions();
+    }
+  }
+
+  /**
+   * Text for the live region, e.g. "3 of 12" or "12 matches".
+   * @param {number} index
+   * @param {number} total
+   * @returns {string}
+   */
+  _formatMatchStatus(index, total) {
+    if (!this.value?.trim()) return '';
+    if (!total) return 'No matches';
+    if (index < 0) return total === 1 ? '1 match' : `${total} matches`;
+    return `${index + 1} of ${total}`;
   }
 }
 
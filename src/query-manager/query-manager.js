@@ -1,189 +1,804 @@
 // query-manager.js
 
-const queryStore = new Map();
-const listeners = new Map();
-const queryOptions = new Map();
-const normalizationCache = new Map();
-const originalHTMLCache = new WeakMap();
-
-export function clearNormalizationCache() {
-  normalizationCache.clear();
-}
-
-export function setQuery(key, value, options) {
-  queryStore.set(key, value);
-  if (options) queryOptions.set(key, options);
-  const subs = listeners.get(key);
-  if (subs) subs.forEach((cb) => cb(value, queryOptions.get(key)));
-}
-
-export const getQuery = (key) => queryStore.get(key);
-export const getQueryOptions = (key) => queryOptions.get(key);
-
-export function subscribeQuery(key, callback) {
-  if (!listeners.has(key)) listeners.set(key, new Set());
-  listeners.get(key).add(callback);
-  return () => listeners.get(key)?.delete(callback);
-}
-
-export const normalizerPresets = {
-  default: [defaultNormalize],
-  strict: [
-    s => s.normalize('NFD'),
-    s => s.replace(/\p{Diacritic}/gu, ''),
-    s => s.replace(/ß/g, 'ss'),
-    s => s.replace(/ä/g, 'ae'),
-    s => s.replace(/ö/g, 'oe'),
-    s => s.replace(/ü/g, 'ue'),
-    s => s.replace(/[^a-z0-9]/gi, ''),
-    s => s.toLowerCase(),
-  ],
-};
-
-export function registerNormalizerPreset(name, steps) {
-  if (!Array.isArray(steps) || steps.some(fn => typeof fn !== 'function')) {
-    throw new Error('Normalizer preset must be an array of functions');
-  }
-  if (normalizerPresets[name]) {
-    console.warn(`[highlight] Preset "${name}" will be overwritten.`);
-  }
-  normalizerPresets[name] = steps;
+import { createMatchCursor } from './match-cursor.js';
+import { setFilteredOut } from './filter-animation.js';
+import { parseQuery, getPositiveTerms, evaluateQuery } from './query-parser.js';
+import { resolveMatchOptions, splitQueryTerms, normalizeTerm, matchTerms } from '../matchCore.js';
+import { markStyles } from '../matchStyles.js';
+import {
+  adoptRootStyles,
+  supportsHighlightAPI,
+  setHighlightRanges,
+  clearHighlightRanges,
+  collectTextNodesDeep,
+  createTextRange,
+  deepQuerySelectorAll,
+  getHighlightRanges,
+} from '../highlightApi.js';
+import { createHighlightObserver } from './highlight-observer.js';
+import { collectSearchableValues, setValueHits, getValueHits, clearValueHits } from './control-matches.js';
+import { createIndexRegistry } from './query-index.js';
+
+export { clearNormalizationCache } from '../matchCore.js';
+export { normalizerPresets, registerNormalizerPreset } from '../normalizerRegistry.js';
+
+/**
+ * Defaults of the DOM highlighter; every other option means the same as for `highlightMatches.js`.
+ * Components bound to a query key (`HighlightableMixin`) match with them too.
+ * @type {import('../matchCore.js').MatchOptions}
+ */
+export const DOM_MATCH_DEFAULTS = { normalizers: 'default', splitWords: false };
+
+/**
+ * Per `[data-highlight]` element: the original Text nodes and the nodes that replaced them.
+ * Restoring puts the very same Text nodes back, so Lit parts and listeners stay intact.
+ * @typedef {{ el: Element, original: Text, nodes: Node[] }} HighlightRecord
+ * @type {WeakMap<Element, HighlightRecord[]>}
+ */
+const highlightRecords = new WeakMap();
+/** Original and replacement Text nodes → their record, to undo a single wrap when its text changes. */
+const textRecords = new WeakMap();
+/** @type {WeakSet<HTMLElement>} Marks created by the highlighter (not the ones authored in the content) */
+const ownMarks = new WeakSet();
+/** @type {WeakSet<HTMLElement>} Elements of `mixinQuerySync` targets; each highlights its own content */
+const queryTargets = new WeakSet();
+
+/**
+ * Fired (bubbling, composed) by a target after it and its nested targets processed a query.
+ * detail: `{ key, query, hasAnyMatch, hasLocalMatch, hasShadowMatch, matchCount, shadowMatchCount }`
+ * (`matchCount` counts the target's own hits, `shadowMatchCount` those of its nested targets).
+ */
+export const QUERY_MATCH_CHANGE = 'query-match-change';
+
+/**
+ * Dispatched (bubbling, composed) by a connecting target to find the nearest ancestor target
+ * of the same key and store, which adopts it by filling `detail.parent`.
+ */
+const QUERY_TARGET_CONNECT = 'query-target-connect';
+
+/**
+ * Event used by sources and targets to find the nearest scoped store.
+ * A provider up the (composed) tree answers by filling `detail.store`.
+ */
+export const QUERY_STORE_REQUEST = 'query-store-request';
+
+/**
+ * Creates an isolated query store. Keys, values, options and subscribers
+ * live inside the returned object, so two stores never see each other.
+ *
+ * @returns {{
+ *   setQuery: (key: string, value: string, options?: object) => void,
+ *   getQuery: (key: string) => string | undefined,
+ *   getQueryOptions: (key: string) => object | undefined,
+ *   subscribeQuery: (key: string, callback: (value: string, options?: object) => void) => () => void,
+ *   getMatchCursor: (key: string) => ReturnType<typeof createMatchCursor>,
+ *   registerQueryIndex: (key: string, index: import('./query-index.js').QueryIndex) => () => void,
+ *   getIndexResults: (key: string) => import('./query-index.js').IndexResults,
+ *   subscribeIndexResults: (key: string, callback: (results: import('./query-index.js').IndexResults) => void) => () => void,
+ *   revealMatch: (key: string, id: string) => Promise<Element | null>,
+ *   registerQueryFields: (key: string, provider: () => string[]) => () => void,
+ *   getQueryFields: (key: string) => string[] | undefined,
+ * }}
+ */
+export function createQueryStore() {
+  const queryStore = new Map();
+  const listeners = new Map();
+  const refreshListeners = new Map();
+  const queryOptions = new Map();
+  const matchCursors = new Map();
+  const fieldProviders = new Map();
+  const indexes = createIndexRegistry(DOM_MATCH_DEFAULTS);
+
+  const notify = (key) => {
+    const subs = listeners.get(key);
+    if (subs) subs.forEach((cb) => cb(queryStore.get(key), queryOptions.get(key)));
+  };
+
+  const refresh = (key) => {
+    const subs = refreshListeners.get(key);
+    if (subs) subs.forEach((cb) => cb(queryStore.get(key), queryOptions.get(key)));
+  };
+
+  // The searches report failed indexes themselves; this catches throwing result subscribers
+  const search = (key) => indexes.search(key, queryStore.get(key), queryOptions.get(key))
+    .catch((err) => console.warn('[query-index] search failed:', err));
+
+  const getMatchCursor = (key) => {
+    if (!matchCursors.has(key)) matchCursors.set(key, createMatchCursor());
+    return matchCursors.get(key);
+  };
+
+  return {
+    setQuery(key, value, options) {
+      queryStore.set(key, value);
+      if (options) queryOptions.set(key, options);
+      notify(key);
+      search(key);
+    },
+
+    getQuery: (key) => queryStore.get(key),
+    getQueryOptions: (key) => queryOptions.get(key),
+
+    subscribeQuery(key, callback) {
+      if (!listeners.has(key)) listeners.set(key, new Set());
+      listeners.get(key).add(callback);
+      return () => listeners.get(key)?.delete(callback);
+    },
+
+    /**
+     * Re-runs the highlight pass of the targets of `key` with the unchanged query,
+     * e.g. after rows were rendered. Query subscribers (inputs, persistence) are not notified.
+     */
+    refreshQuery: refresh,
+
+    /** Subscribes to `refreshQuery(key)`; targets re-highlight on it. */
+    subscribeRefresh(key, callback) {
+      if (!refreshListeners.has(key)) refreshListeners.set(key, new Set());
+      refreshListeners.get(key).add(callback);
+      return () => refreshListeners.get(key)?.delete(callback);
+    },
+
+    /** Shared cursor over the hits of every target subscribed to `key`. */
+    getMatchCursor,
+
+    /**
+     * Registers a search index for data that is not rendered (see `query-index.js`).
+     * It is searched for the current query right away and on every query change.
+     */
+    registerQueryIndex(key, index) {
+      const unregister = indexes.register(key, index);
+      search(key);
+      return () => {
+        unregister();
+        search(key);
+      };
+    },
+
+    getIndexResults: (key) => indexes.getResults(key),
+    subscribeIndexResults: (key, callback) => indexes.subscribe(key, callback),
+
+    /**
+     * Lets the index that reported `id` render or scroll to it, re-runs the targets of `key`
+     * so the revealed row gets highlighted, and makes its first hit the active one.
+     *
+     * @returns {Promise<Element | null>} The revealed element, if the index returned one.
+     */
+    async revealMatch(key, id) {
+      const el = await indexes.reveal(key, id);
+      if (!el) return null;
+
+      refresh(key);
+      const cursor = getMatchCursor(key);
+      const hit = cursor.matches.find((h) => el.contains(h instanceof Range ? h.startContainer : h));
+      if (hit) cursor.select(hit);
+      else el.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+      return el;
+    },
+
+    /**
+     * Lets a target report the `field:` names it has, so a source parses the query
+     * with the same fields as the targets (see `query-parser.js`).
+     */
+    registerQueryFields(key, provider) {
+      if (!fieldProviders.has(key)) fieldProviders.set(key, new Set());
+      fieldProviders.get(key).add(provider);
+      return () => fieldProviders.get(key)?.delete(provider);
+    },
+
+    /** Field names of every target of `key`; undefined while no target reports any. */
+    getQueryFields(key) {
+      const providers = fieldProviders.get(key);
+      if (!providers?.size) return undefined;
+      return [...new Set([...providers].flatMap((provider) => provider()))];
+    },
+  };
 }
 
-export function resetHighlights(container) {
-  container.querySelectorAll('[data-highlight]').forEach(el => {
-    const original = originalHTMLCache.get(el);
-    if (original !== undefined) el.innerHTML = original;
+/** Store used when no provider is found and by the module-level helpers below. */
+export const defaultQueryStore = createQueryStore();
+
+export const setQuery = (key, value, options) => defaultQueryStore.setQuery(key, value, options);
+export const getQuery = (key) => defaultQueryStore.getQuery(key);
+export const getQueryOptions = (key) => defaultQueryStore.getQueryOptions(key);
+export const subscribeQuery = (key, callback) => defaultQueryStore.subscribeQuery(key, callback);
+export const refreshQuery = (key) => defaultQueryStore.refreshQuery(key);
+export const getMatchCursor = (key) => defaultQueryStore.getMatchCursor(key);
+export const registerQueryIndex = (key, index) => defaultQueryStore.registerQueryIndex(key, index);
+export const getIndexResults = (key) => defaultQueryStore.getIndexResults(key);
+export const subscribeIndexResults = (key, callback) => defaultQueryStore.subscribeIndexResults(key, callback);
+export const revealMatch = (key, id) => defaultQueryStore.revealMatch(key, id);
+export const getQueryFields = (key) => defaultQueryStore.getQueryFields(key);
+
+/**
+ * Finds the nearest store for the given element by dispatching a
+ * `query-store-request` event. Falls back to `defaultQueryStore`.
+ *
+ * @param {EventTarget} element
+ * @returns {ReturnType<typeof createQueryStore>}
+ */
+export function requestQueryStore(element) {
+  const event = new CustomEvent(QUERY_STORE_REQUEST, {
+    bubbles: true,
+    composed: true,
+    detail: { store: null },
   });
+  element.dispatchEvent(event);
+  return event.detail.store || defaultQueryStore;
 }
 
-export function highlightMatches(container, query, options = {}) {
-  if (!container) return { hasLocalMatch: false };
+/**
+ * Removes all marks inside `container` and puts the original text nodes back.
+ *
+ * @param {Element} container
+ */
+export function resetHighlights(container) {
+  highlightElements(container, false).forEach(restoreHighlights);
+}
 
-  resetHighlights(container);
+/**
+ * The `[data-highlight]` elements `container` highlights itself. Content of targets nested
+ * inside it (light DOM or shadow roots) belongs to those targets and is left to them.
+ *
+ * @param {Element} container
+ * @param {boolean} deep - Include elements inside open shadow roots.
+ * @returns {Element[]}
+ */
+function highlightElements(container, deep) {
+  const elements = deep
+    ? deepQuerySelectorAll(container, '[data-highlight]')
+    : Array.from(container.querySelectorAll('[data-highlight]'));
+  return elements.filter(el => !isInNestedTarget(el, container));
+}
 
-  const highlightEls = container.querySelectorAll('[data-highlight]');
-  highlightEls.forEach(el => {
-    if (!originalHTMLCache.has(el)) {
-      originalHTMLCache.set(el, el.innerHTML);
-    }
+/**
+ * @param {Node} node
+ * @param {Element} container
+ * @returns {boolean} `node` is (inside) a target nested in `container`.
+ */
+function isInNestedTarget(node, container) {
+  for (let n = node; n && n !== container; n = n.parentNode instanceof ShadowRoot ? n.parentNode.host : n.parentNode) {
+    if (queryTargets.has(n)) return true;
+  }
+  return false;
+}
+
+/**
+ * Restores the original text nodes of one `[data-highlight]` element.
+ *
+ * @param {Element} el
+ */
+function restoreHighlights(el) {
+  const records = highlightRecords.get(el);
+  if (!records) return;
+
+  records.forEach(({ original, nodes }) => {
+    const anchor = nodes.find(n => n.parentNode);
+    // Everything was already replaced by someone else (e.g. a re-render), nothing to restore
+    if (!anchor) return;
+    anchor.parentNode.insertBefore(original, anchor);
+    nodes.forEach(n => n.parentNode?.removeChild(n));
   });
 
-  if (!query?.trim()) return { hasLocalMatch: false };
+  highlightRecords.delete(el);
+}
 
-  const terms = options.splitWords ? query.split(/\s+/).filter(Boolean) : [query];
-  const normalizers = resolveNormalizers(options.normalizers);
-  const normalizedTerms = terms.map(t => applyNormalizers(t, normalizers));
+/**
+ * Undoes the wrap of one text node whose text changed after it was highlighted and
+ * returns the original Text node, now holding the current text.
+ *
+ * Lit updates a text part through the node right after its marker, so a change of the
+ * first replacement node carries the complete new text; other changes are concatenated.
+ *
+ * @param {HighlightRecord} record
+ * @param {Text} changed
+ * @returns {Text}
+ */
+function unwrapRecord(record, changed) {
+  const { el, original, nodes } = record;
+  if (changed !== original) {
+    original.data = changed === nodes[0] ? changed.data : nodes.map(n => n.textContent).join('');
+  }
 
-  let hasMatch = false;
+  const anchor = nodes.find(n => n.parentNode);
+  if (anchor) {
+    anchor.parentNode.insertBefore(original, anchor);
+    nodes.forEach(n => n.parentNode?.removeChild(n));
+  }
 
-  highlightEls.forEach(el => {
-    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
-    const textNodes = [];
+  const records = (highlightRecords.get(el) ?? []).filter(r => r !== record);
+  if (records.length) highlightRecords.set(el, records);
+  else highlightRecords.delete(el);
+  return original;
+}
 
-    while (walker.nextNode()) {
-      const node = walker.currentNode;
-      if (
-        !node?.textContent?.trim() ||
-        !(node.parentNode instanceof HTMLElement) ||
-        node.parentNode.closest('template, slot')
-      ) {
-        continue;
-      }
+/**
+ * @param {Text} node
+ * @returns {boolean} Whether the text node can be highlighted.
+ */
+function isHighlightableText(node) {
+  return Boolean(node?.textContent?.trim()) &&
+    node.parentNode instanceof HTMLElement &&
+    // Text inside form controls is their (default) value, which must not be mutated;
+    // value overlays mirror it
+    !node.parentNode.closest('template, slot, mark, textarea, option, script, style, [data-query-overlay]');
+}
 
-      textNodes.push(node);
-    }
+/**
+ * Collects the text nodes of `el` that can be highlighted.
+ *
+ * @param {Element} el
+ * @returns {Text[]}
+ */
+function collectTextNodes(el) {
+  const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
 
-    textNodes.forEach(node => {
-      const originalText = node.textContent;
-      if (!originalText) return;
+  while (walker.nextNode()) {
+    if (isHighlightableText(walker.currentNode)) textNodes.push(walker.currentNode);
+  }
 
-      const marked = getMarkedHTML(originalText, normalizedTerms, options.exactMatch, normalizers);
-      if (marked !== originalText) {
-        const wrapper = document.createElement('span');
-        wrapper.innerHTML = marked;
-        try {
-          node.replaceWith(...wrapper.childNodes);
-          hasMatch = true;
-        } catch (err) {
-          console.warn('[highlight] replaceWith failed:', err);
-        }
-      }
+  return textNodes;
+}
+
+/**
+ * Replaces `node` by Text and `<mark>` nodes built from `ranges`. No HTML is parsed.
+ * Marks get `data-term` (index of the query term) and `data-match` (see `markStyles`).
+ *
+ * @param {Text} node
+ * @param {import('../matchCore.js').MatchResult[]} ranges
+ * @returns {{ nodes: Node[], marks: HTMLElement[] }}
+ */
+function wrapTextNode(node, ranges) {
+  const text = node.data;
+  const nodes = [];
+  const marks = [];
+  let cursor = 0;
+
+  // Keep a Text node first: Lit writes text part updates into the node after its marker
+  if (ranges[0]?.start === 0) nodes.push(document.createTextNode(''));
+
+  for (const { start, end, score, term, kind } of ranges) {
+    if (start > cursor) nodes.push(document.createTextNode(text.slice(cursor, start)));
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(start, end);
+    mark.dataset.term = String(term);
+    mark.dataset.match = kind;
+    if (score < 1) mark.dataset.score = score.toFixed(2);
+    ownMarks.add(mark);
+    nodes.push(mark);
+    marks.push(mark);
+    cursor = end;
+  }
+
+  if (cursor < text.length) nodes.push(document.createTextNode(text.slice(cursor)));
+  adoptRootStyles(node, markStyles);
+  node.replaceWith(...nodes);
+  return { nodes, marks };
+}
+
+/**
+ * Wraps `node` (inside the `[data-highlight]` element `el`) and records how to undo it.
+ *
+ * @param {Element} el
+ * @param {Text} node
+ * @param {import('../matchCore.js').MatchResult[]} ranges
+ * @returns {HTMLElement[]} The new marks.
+ */
+function wrapAndRecord(el, node, ranges) {
+  try {
+    const { nodes, marks } = wrapTextNode(node, ranges);
+    const record = { el, original: node, nodes };
+    highlightRecords.set(el, [...(highlightRecords.get(el) ?? []), record]);
+    [node, ...nodes].forEach(n => {
+      if (n.nodeType === Node.TEXT_NODE) textRecords.set(n, record);
     });
-  });
+    return marks;
+  } catch (err) {
+    console.warn('[highlight] replaceWith failed:', err);
+    return [];
+  }
+}
+
+/**
+ * Wraps hits inside `[data-highlight]` elements of `container` in `<mark>`.
+ * Text and marks are created as nodes, so neither the text nor the query is ever parsed as HTML.
+ *
+ * With `options.useHighlightAPI` (and browser support) the DOM is left untouched and the hits
+ * are registered as CSS Highlight API ranges under `options.key` (default: `container`),
+ * including `[data-highlight]` elements inside open shadow roots. Without support it falls
+ * back to `<mark>` injection.
+ *
+ * With `options.querySyntax` the query is parsed by `parseQuery()` (phrases, `-exclusions`,
+ * `OR`, `field:value`); `hasLocalMatch` is then the result of evaluating the whole query and
+ * parse problems are returned as `diagnostics` instead of being thrown.
+ *
+ * With `options.matchAttributes` (attribute names, or `true` for `title`/`aria-label`) and
+ * `options.matchFormValues` (input/textarea values, option texts), those values are searched too.
+ * They can't hold marks: matching elements get a `data-query-hit` attribute and an outline,
+ * are returned as `controls` and count as one match each. Text inputs and textareas also get
+ * overlay marks: a mirror of the value laid over the control (also with `useHighlightAPI`).
+ * Control values are never changed.
+ *
+ * Matching options (`normalizers`, `matchMode`, `maxEdits`, `splitWords`, ...) are the ones of
+ * the shared matching core (see `matchCore.js`); only the defaults differ: `normalizers: 'default'`
+ * and `splitWords: false`.
+ *
+ * @param {Element} container
+ * @param {string} query
+ * @param {import('../matchCore.js').MatchOptions & {
+ *   key?: unknown,
+ *   useHighlightAPI?: boolean,
+ *   querySyntax?: boolean,
+ *   matchAttributes?: boolean | string[],
+ *   matchFormValues?: boolean,
+ * }} [options]
+ * @returns {{
+ *   hasLocalMatch: boolean,
+ *   matchCount: number,
+ *   marks: HTMLElement[],
+ *   ranges: Range[],
+ *   controls: Element[],
+ *   diagnostics: import('./query-parser.js').QueryDiagnostic[],
+ * }}
+ */
+export function highlightMatches(container, query, options = {}) {
+  const pass = startPass(container, query, options);
+  for (const item of pass.items) pass.process(item);
+  return pass.finish();
+}
+
+/**
+ * Async variant of `highlightMatches()` for very large containers. Text nodes are processed
+ * in slices of about `frameBudget` ms; between slices the main thread is free for input.
+ * Marks appear progressively; Highlight API ranges are registered once at the end.
+ *
+ * An aborted `signal` stops the pass at the next slice and rejects with its reason
+ * (an `AbortError`); the next pass restores whatever was already marked.
+ *
+ * @param {Element} container
+ * @param {string} query
+ * @param {Parameters<typeof highlightMatches>[2] & {
+ *   signal?: AbortSignal,
+ *   frameBudget?: number,
+ *   onProgress?: (progress: { processed: number, total: number, matchCount: number }) => void,
+ * }} [options] - `processed`/`total` count `[data-highlight]` elements.
+ * @returns {Promise<ReturnType<typeof highlightMatches> & { duration: number }>}
+ */
+export async function highlightMatchesAsync(container, query, options = {}) {
+  const { signal, onProgress, frameBudget = 8 } = options;
+  signal?.throwIfAborted();
 
-  return { hasLocalMatch: hasMatch };
-}
-
-function resolveNormalizers(input) {
-  if (!input) return normalizerPresets.default;
-  if (typeof input === 'string') return normalizerPresets[input] || normalizerPresets.default;
-  if (typeof input === 'function') return [input];
-  if (Array.isArray(input)) {
-    return input.flatMap(item =>
-      typeof item === 'string' && normalizerPresets[item]
-        ? normalizerPresets[item]
-        : typeof item === 'function'
-          ? [item]
-          : []
-    );
+  const startedAt = performance.now();
+  const pass = startPass(container, query, options);
+  let sliceStart = startedAt;
+
+  for (const item of pass.items) {
+    pass.process(item);
+    if (performance.now() - sliceStart < frameBudget) continue;
+
+    onProgress?.({ processed: item.index, total: pass.total, matchCount: pass.matchCount });
+    await yieldToMain();
+    signal?.throwIfAborted();
+    sliceStart = performance.now();
   }
-  return normalizerPresets.default;
+
+  const result = pass.finish();
+  onProgress?.({ processed: pass.total, total: pass.total, matchCount: result.matchCount });
+  return { ...result, duration: performance.now() - startedAt };
 }
 
-function defaultNormalize(s) {
-  return s.normalize('NFD')
-    .replace(/\p{Diacritic}/gu, '')
-    .replace(/ß/g, 'ss')
-    .replace(/ä/g, 'ae')
-    .replace(/ö/g, 'oe')
-    .replace(/ü/g, 'ue')
-    .toLowerCase();
+/**
+ * Lets pending input and rendering run before the next slice.
+ * @returns {Promise<void>}
+ */
+function yieldToMain() {
+  if (globalThis.scheduler?.yield) return globalThis.scheduler.yield();
+  return new Promise(resolve => setTimeout(resolve, 0));
 }
 
-function applyNormalizers(str, normalizers) {
-  const key = normalizers.map(fn => fn.name || '[anon]').join('|') + '::' + str;
-  if (normalizationCache.has(key)) return normalizationCache.get(key);
-  const result = normalizers.reduce((acc, fn) => fn(acc), str);
-  normalizationCache.set(key, result);
-  return result;
+/**
+ * @typedef {Object} HighlightWorkItem
+ * @property {Element} el - The `[data-highlight]` element.
+ * @property {Text} node
+ * @property {string[]} terms - Normalized terms to highlight in `el`.
+ * @property {number} index - Index of `el` among the pass's elements.
+ */
+
+/**
+ * Restores the previous highlights and prepares a pass over `container`. The work items are
+ * produced lazily, element by element, so text nodes created by marking an outer
+ * `[data-highlight]` element are seen by nested ones.
+ *
+ * @param {Element} container
+ * @param {string} query
+ * @param {object} options
+ * @returns {{
+ *   items: Iterable<HighlightWorkItem>,
+ *   total: number,
+ *   readonly matchCount: number,
+ *   process: (item: HighlightWorkItem) => void,
+ *   finish: () => ReturnType<typeof highlightMatches>,
+ * }}
+ */
+function startPass(container, query, options) {
+  const marks = [];
+  const ranges = [];
+  const empty = {
+    items: [],
+    total: 0,
+    matchCount: 0,
+    process() {},
+    finish: () => ({ hasLocalMatch: false, matchCount: 0, marks, ranges, controls: [], diagnostics: [] }),
+  };
+  if (!container) return empty;
+
+  resetHighlights(container);
+
+  const useAPI = options.useHighlightAPI && supportsHighlightAPI();
+  const owner = options.key ?? container;
+  clearHighlightRanges(owner);
+  clearValueHits(owner);
+
+  if (!query?.trim()) return empty;
+
+  const resolved = resolveMatchOptions(options, DOM_MATCH_DEFAULTS);
+  const plan = options.querySyntax
+    ? planSyntaxQuery(container, query, resolved, options)
+    : planPlainQuery(query, resolved);
+  // The Highlight API variant pierces open shadow roots, marks stay in the light DOM
+  const elements = highlightElements(container, useAPI);
+
+  return {
+    items: workItems(elements, plan.termsFor, useAPI),
+    total: elements.length,
+
+    get matchCount() {
+      return marks.length + ranges.length;
+    },
+
+    process({ el, node, terms }) {
+      // Re-rendered away between the slices of an async pass (the container itself may be detached)
+      if (!container.contains(node)) return;
+      // Term indexes of the whole query, not of the element's (field-scoped) subset
+      const indexes = terms.map(term => plan.terms.indexOf(term));
+      const hits = matchTerms(node.data, terms, resolved, indexes.map(index => plan.raw[index]))
+        .map(hit => ({ ...hit, term: indexes[hit.term] }));
+      if (!hits.length) return;
+      if (useAPI) hits.forEach(hit => ranges.push(createTextRange(node, hit.start, hit.end, hit)));
+      else marks.push(...wrapAndRecord(el, node, hits));
+    },
+
+    finish() {
+      if (useAPI) setHighlightRanges(owner, ranges);
+      const controls = matchValues(elements, plan, resolved, options, owner);
+      const matchCount = marks.length + ranges.length + controls.length;
+      return {
+        hasLocalMatch: plan.matched ?? matchCount > 0,
+        matchCount,
+        marks,
+        ranges,
+        controls,
+        diagnostics: plan.diagnostics,
+      };
+    },
+  };
 }
 
-function getMarkedHTML(text, terms, exact = false, normalizers = normalizerPresets.default) {
-  let result = '';
-  let cursor = 0;
-  const normText = applyNormalizers(text, normalizers);
-  const matches = [];
+/**
+ * Searches attribute and form values (`matchAttributes` / `matchFormValues`) and marks the hits.
+ * Hits in the values of text inputs and textareas also get overlay marks.
+ *
+ * @param {Element[]} elements - The `[data-highlight]` elements of the pass.
+ * @param {QueryPlan} plan
+ * @param {import('../matchCore.js').ResolvedMatchOptions} resolved
+ * @param {object} options
+ * @param {unknown} owner
+ * @returns {Element[]} Elements that got `data-query-hit`.
+ */
+function matchValues(elements, plan, resolved, options, owner) {
+  if (!options.matchAttributes && !options.matchFormValues) return [];
+
+  const hits = new Map();
+  const valueMatches = new Map();
+  elements.forEach(el => {
+    const terms = plan.termsFor(el);
+    if (!terms.length) return;
+    // Term indexes of the whole query, as for marks
+    const indexes = terms.map(term => plan.terms.indexOf(term));
+
+    collectSearchableValues(el, options).forEach(({ target, source, text }) => {
+      const matches = matchTerms(text, terms, resolved, indexes.map(index => plan.raw[index]))
+        .map(hit => ({ ...hit, term: indexes[hit.term] }));
+      if (!matches.length) return;
+      hits.set(target, (hits.get(target) ?? new Set()).add(source));
+      if (source === 'value') valueMatches.set(target, matches);
+    });
+  });
+
+  setValueHits(owner, hits, valueMatches);
+  return getValueHits(owner);
+}
+
+/**
+ * @param {Element[]} elements
+ * @param {(el: Element) => string[]} termsFor
+ * @param {boolean} deep - Collect text inside open shadow roots too.
+ * @returns {Generator<HighlightWorkItem>}
+ */
+function* workItems(elements, termsFor, deep) {
+  // Nested [data-highlight] elements share text nodes with their ancestors
+  const seen = new Set();
+
+  for (const [index, el] of elements.entries()) {
+    const terms = termsFor(el);
+    if (!terms.length) continue;
 
-  for (const term of terms) {
-    const pattern = exact ? `(?<!\\w)${term}(?!\\w)` : term;
-    const re = new RegExp(pattern, 'gi');
-    let m;
-    while ((m = re.exec(normText)) !== null) {
-      matches.push({ index: m.index, length: term.length });
+    for (const node of deep ? collectTextNodesDeep(el) : collectTextNodes(el)) {
+      if (deep) {
+        if (seen.has(node)) continue;
+        seen.add(node);
+      }
+      yield { el, node, terms, index };
     }
   }
+}
 
-  matches.sort((a, b) => a.index - b.index);
-  const nonOverlapping = [];
-  let lastEnd = 0;
-  for (const m of matches) {
-    if (m.index >= lastEnd) {
-      nonOverlapping.push(m);
-      lastEnd = m.index + m.length;
-    }
+/**
+ * Incremental counterpart of `highlightMatches()`: (re-)highlights only `changedNodes`,
+ * e.g. text rendered or loaded after the last full pass. Wrapped text nodes whose text
+ * changed are restored before they are highlighted again. Plain queries only; the
+ * `querySyntax` match decision depends on the whole container and needs a full pass.
+ *
+ * @param {Element} container
+ * @param {Iterable<Text>} changedNodes
+ * @param {string} query
+ * @param {object} [options] - Same as for `highlightMatches()`.
+ * @returns {{ hasLocalMatch: boolean, matchCount: number, marks: HTMLElement[], ranges: Range[], controls: Element[] }}
+ *   All current hits of `container`, not only the new ones.
+ */
+export function refreshHighlights(container, changedNodes, query, options = {}) {
+  const useAPI = options.useHighlightAPI && supportsHighlightAPI();
+  const owner = options.key ?? container;
+  const resolved = resolveMatchOptions(options, DOM_MATCH_DEFAULTS);
+  const { terms, raw } = splitQueryTerms(query, resolved);
+
+  const texts = new Set();
+  for (const node of changedNodes) {
+    const record = textRecords.get(node);
+    // Text of nested targets (including their own marks) is refreshed by those targets
+    if (isInNestedTarget(record?.el ?? node, container)) continue;
+    texts.add(record ? unwrapRecord(record, node) : node);
+  }
+
+  // Attribute and form values are not text nodes; their hits from the last full pass stay
+  const controls = getValueHits(owner);
+  const newRanges = [];
+  texts.forEach(node => {
+    const el = node.parentElement?.closest('[data-highlight]');
+    if (!el || !container.contains(el) || !isHighlightableText(node)) return;
+
+    const hits = matchTerms(node.data, terms, resolved, raw);
+    if (!hits.length) return;
+    if (useAPI) hits.forEach(hit => newRanges.push(createTextRange(node, hit.start, hit.end, hit)));
+    else wrapAndRecord(el, node, hits);
+  });
+
+  if (useAPI) {
+    const ranges = getHighlightRanges(owner)
+      .filter(range => range.startContainer.isConnected && !texts.has(range.startContainer))
+      .concat(newRanges)
+      .sort(compareRanges);
+    setHighlightRanges(owner, ranges);
+    const matchCount = ranges.length + controls.length;
+    return { hasLocalMatch: matchCount > 0, matchCount, marks: [], ranges, controls };
   }
 
-  for (const { index, length } of nonOverlapping) {
-    const rawStart = index;
-    const rawMatch = text.substring(rawStart, rawStart + length);
-    result += text.substring(cursor, rawStart);
-    result += `<mark>${rawMatch}</mark>`;
-    cursor = rawStart + rawMatch.length;
+  const marks = Array.from(container.querySelectorAll('[data-highlight] mark'))
+    .filter(m => ownMarks.has(m) && !isInNestedTarget(m, container));
+  const matchCount = marks.length + controls.length;
+  return { hasLocalMatch: matchCount > 0, matchCount, marks, ranges: [], controls };
+}
+
+/**
+ * Document order of two ranges; ranges in different trees (shadow roots) keep their order.
+ *
+ * @param {Range} a
+ * @param {Range} b
+ * @returns {number}
+ */
+function compareRanges(a, b) {
+  try {
+    return a.compareBoundaryPoints(Range.START_TO_START, b);
+  } catch {
+    return 0;
   }
+}
+
+/**
+ * @typedef {Object} QueryPlan
+ * @property {string[]} terms - Normalized terms of the whole query; marks are numbered by these.
+ * @property {string[]} raw - The same terms as typed.
+ * @property {(el: Element) => string[]} termsFor - Normalized terms to highlight inside `el`.
+ * @property {boolean} [matched] - Match decision when it is not simply "has any hit".
+ * @property {import('./query-parser.js').QueryDiagnostic[]} diagnostics
+ */
 
-  result += text.substring(cursor);
-  return result || text;
+/**
+ * Plain query: the whole query (or each word with `splitWords`) everywhere.
+ *
+ * @param {string} query
+ * @param {import('../matchCore.js').ResolvedMatchOptions} resolved
+ * @returns {QueryPlan}
+ */
+function planPlainQuery(query, resolved) {
+  const { terms, raw } = splitQueryTerms(query, resolved);
+  return { terms, raw, termsFor: () => terms, diagnostics: [] };
+}
+
+/**
+ * Query language (`querySyntax: true`): phrases, exclusions, OR and `field:` scoping.
+ * Only positive terms are highlighted; `field:` terms only inside `[data-highlight="field"]`
+ * (a prefix that names no field of the container is part of the word).
+ * The match decision evaluates the whole query against the container's fields
+ * (including attribute and form values when those are searched).
+ *
+ * @param {Element} container
+ * @param {string} query
+ * @param {import('../matchCore.js').ResolvedMatchOptions} resolved
+ * @param {object} options
+ * @returns {QueryPlan}
+ */
+function planSyntaxQuery(container, query, resolved, options) {
+  const elements = highlightElements(container, false);
+  // Only fields the container has can scope a term
+  const { ast, diagnostics } = parseQuery(query, { fields: highlightFields(container) });
+  const appliesTo = (term, el) => !term.field || term.field === fieldOf(el);
+  const termText = term => normalizeTerm(term.value, resolved);
+  const positives = getPositiveTerms(ast);
+
+  const firstHitOnly = { ...resolved, multipleMatches: false };
+  const textsOf = el => [el.textContent, ...collectSearchableValues(el, options).map(value => value.text)];
+
+  const hasTerm = (term) => elements.some(el => appliesTo(term, el) &&
+    textsOf(el).some(text => matchTerms(text, [termText(term)], firstHitOnly).length > 0));
+
+  return {
+    terms: positives.map(termText),
+    raw: positives.map(term => term.value),
+    termsFor: el => positives.filter(term => appliesTo(term, el)).map(termText),
+    matched: evaluateQuery(ast, hasTerm),
+    diagnostics,
+  };
+}
+
+/**
+ * @param {Element} el
+ * @returns {string | null} Field name of a `[data-highlight="field"]` element.
+ */
+function fieldOf(el) {
+  return el.getAttribute('data-highlight') || null;
+}
+
+/**
+ * Field names of the `[data-highlight]` elements `container` highlights itself.
+ *
+ * @param {Element} container
+ * @returns {string[]}
+ */
+function highlightFields(container) {
+  return [...new Set(highlightElements(container, false).map(fieldOf).filter(Boolean))];
+}
+
+/**
+ * Document order of two hits (marks, controls or Ranges).
+ *
+ * @param {Element | Range} a
+ * @param {Element | Range} b
+ * @returns {number}
+ */
+function compareHits(a, b) {
+  const nodeOf = hit => (hit instanceof Range ? hit.startContainer : hit);
+  return nodeOf(a).compareDocumentPosition(nodeOf(b)) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
 }
 
 export function mixinQuerySync(Base, { type, key, highlightOptions }) {
@@ -193,37 +808,381 @@ export function mixinQuerySync(Base, { type, key, highlightOptions }) {
       hasLocalMatch: { type: Boolean, reflect: true, attribute: 'has-local-match' },
       hasShadowMatch: { type: Boolean, reflect: true, attribute: 'has-shadow-match' },
       hasAnyMatch: { type: Boolean, reflect: true, attribute: 'has-any-match' },
+      filter: { type: Boolean, reflect: true },
+      observe: { type: Boolean, reflect: true },
+      queryStore: { attribute: false },
     };
 
+    constructor() {
+      super();
+      if (type === 'target') {
+        queryTargets.add(this);
+        /** @type {Set<HTMLElement>} Nested targets of the same key that report to this one */
+        this.__childTargets = new Set();
+        this.__parentTarget = null;
+        this.hasShadowMatch = false;
+        this.matchCount = 0;
+        this.shadowMatchCount = 0;
+        this.addEventListener(QUERY_TARGET_CONNECT, this._onTargetConnect);
+      }
+    }
+
+    /**
+     * Key of this source/target: the element's own `key` wins over the mixin default.
+     * @returns {string}
+     */
+    get queryKey() {
+      return this.key ?? key;
+    }
+
+    /**
+     * Store resolved on connect (assigned `queryStore`, nearest provider or the default one).
+     * @returns {ReturnType<typeof createQueryStore>}
+     */
+    get activeQueryStore() {
+      return this.__store || defaultQueryStore;
+    }
+
     connectedCallback() {
       super.connectedCallback?.();
+      // Resolved on every connect, the element may have been moved under another provider
+      this.__store = this.queryStore || requestQueryStore(this);
+      this.__indexes?.forEach((_, index) => {
+        this.__indexes.set(index, this.__store.registerQueryIndex(this.queryKey, index));
+      });
+
       if (type === 'target') {
+        const store = this.__store;
+        this._connectToParentTarget();
         const processQuery = (query, opts) => {
-          const container = this.renderRoot?.querySelector('[data-highlight-container]');
+          const container = this._highlightContainer;
           if (!container) return;
           this.hasQuery = Boolean(query?.trim());
-          const activeOptions = opts || getQueryOptions(key) || {};
-          const { hasLocalMatch } = highlightMatches(container, query, activeOptions);
-          this.hasLocalMatch = hasLocalMatch;
-          this.hasShadowMatch = Array.from(this.renderRoot?.querySelectorAll('[has-local-match]') || [])
-            .some((el) => el !== this && el.hasAttribute('has-local-match'));
-          this.hasAnyMatch = this.hasLocalMatch || this.hasShadowMatch;
+          const activeOptions = opts || store.getQueryOptions(this.queryKey) || {};
+          this.__pass?.abort();
+          this.__pass = null;
+
+          if (activeOptions.async) {
+            this._processQueryAsync(container, query, activeOptions);
+            return;
+          }
+
+          const result = highlightMatches(container, query, { ...activeOptions, key: this });
+          // The full pass covered every text node; don't report its own marks as changes
+          this.__observer?.discardRecords();
+          this.__observer?.clear();
+          if (this.observe) this._startObserving();
+          this._commitMatches(query, result);
         };
 
-        this.__unsub = subscribeQuery(key, processQuery);
-        const current = getQuery(key);
-        if (current) processQuery(current, getQueryOptions(key));
+        this.__unsub = store.subscribeQuery(this.queryKey, processQuery);
+        this.__unsubRefresh = store.subscribeRefresh(this.queryKey, processQuery);
+        this.__unsubFields = store.registerQueryFields(this.queryKey, () => {
+          const container = this._highlightContainer;
+          return container ? highlightFields(container) : [];
+        });
+        const current = store.getQuery(this.queryKey);
+        if (current) processQuery(current, store.getQueryOptions(this.queryKey));
+        if (this.observe) this._startObserving();
       }
     }
 
     disconnectedCallback() {
       super.disconnectedCallback?.();
-      if (type === 'target') this.__unsub?.();
+      this.__indexes?.forEach((unregister, index) => {
+        unregister?.();
+        this.__indexes.set(index, null);
+      });
+      if (type === 'target') {
+        this.__unsub?.();
+        this.__unsubRefresh?.();
+        this.__unsubFields?.();
+        this.__pass?.abort();
+        this.__pass = null;
+        this._stopObserving();
+        this.activeQueryStore.getMatchCursor(this.queryKey).removeOwner(this);
+        clearHighlightRanges(this);
+        clearValueHits(this);
+
+        this.__parentTarget?._removeChildTarget(this);
+        this.__parentTarget = null;
+        // Children re-register on their own connect or next commit
+        this.__childTargets.forEach((child) => { child.__parentTarget = null; });
+        this.__childTargets.clear();
+      }
+    }
+
+    updated(changedProps) {
+      super.updated?.(changedProps);
+      if (type !== 'target') return;
+      if (changedProps.has('filter')) this._applyFilter();
+      if (changedProps.has('observe') && this.isConnected) {
+        if (this.observe) this._startObserving();
+        else this._stopObserving();
+      }
+    }
+
+    /**
+     * Registers a search index for rows this element does not render (virtualized or paged data).
+     * The registration follows the element: it ends on disconnect and is renewed on connect.
+     *
+     * @param {import('./query-index.js').QueryIndex} index
+     * @returns {() => void} Unregisters the index.
+     */
+    registerQueryIndex(index) {
+      this.__indexes ??= new Map();
+      this.__indexes.get(index)?.();
+      this.__indexes.set(index, this.isConnected ? this.activeQueryStore.registerQueryIndex(this.queryKey, index) : null);
+      return () => {
+        this.__indexes.get(index)?.();
+        this.__indexes.delete(index);
+      };
+    }
+
+    /**
+     * Renders/scrolls to an indexed row (see the store's `revealMatch`).
+     *
+     * @param {string} id
+     * @returns {Promise<Element | null>}
+     */
+    revealMatch(id) {
+      return this.activeQueryStore.revealMatch(this.queryKey, id);
+    }
+
+    /**
+     * Element whose `[data-highlight]` descendants are highlighted: the `[data-highlight-container]`
+     * of the render root. Without one the target highlights nothing.
+     * @returns {Element | null}
+     */
+    get _highlightContainer() {
+      return this.renderRoot?.querySelector('[data-highlight-container]') ?? null;
+    }
+
+    /**
+     * `async` option: highlights in slices (see `highlightMatchesAsync()`) and reports progress
+     * with `query-progress` events. A newer query aborts the running pass.
+     * A failed pass fires a cancelable `query-error` (detail: `{ key, query, error }`);
+     * unless it is canceled, the error is logged with `console.error`.
+     *
+     * @param {Element} container
+     * @param {string} query
+     * @param {object} options
+     */
+    _processQueryAsync(container, query, options) {
+      const pass = new AbortController();
+      this.__pass = pass;
+      // Marks are added across several tasks, the observer would see them as new text
+      this._stopObserving();
+
+      highlightMatchesAsync(container, query, {
+        ...options,
+        key: this,
+        signal: pass.signal,
+        onProgress: (progress) => {
+          this.dispatchEvent(new CustomEvent('query-progress', {
+            bubbles: true,
+            composed: true,
+            detail: { key: this.queryKey, query, ...progress },
+          }));
+        },
+      }).then((result) => {
+        this._commitMatches(query, result);
+      }).catch((err) => {
+        if (err?.name === 'AbortError') return;
+        // Nobody awaits the pass: report the error instead of leaving an unhandled rejection
+        const handled = !this.dispatchEvent(new CustomEvent('query-error', {
+          bubbles: true,
+          composed: true,
+          cancelable: true,
+          detail: { key: this.queryKey, query, error: err },
+        }));
+        if (!handled) console.error('[query-manager] highlight pass failed:', err);
+      }).finally(() => {
+        if (this.__pass !== pass) return;
+        this.__pass = null;
+        if (this.observe && this.isConnected) this._startObserving();
+        // Ancestors wait for running passes; a failed pass must not keep them waiting
+        this._scheduleAggregate();
+      });
+    }
+
+    /**
+     * Updates the local match state and cursor after a (full or incremental) pass.
+     * `has-shadow-match`/`has-any-match`, the filter and the `query-match-change` event follow
+     * in `_aggregateMatches()`, once nested targets processed the query as well.
+     *
+     * @param {string} query
+     * @param {{ hasLocalMatch: boolean, marks: HTMLElement[], ranges: Range[], controls?: Element[] }} result
+     */
+    _commitMatches(query, { hasLocalMatch, marks, ranges, controls = [] }) {
+      this.hasLocalMatch = hasLocalMatch;
+      const hits = [...(marks.length ? marks : ranges), ...controls];
+      if (controls.length) hits.sort(compareHits);
+      this.activeQueryStore.getMatchCursor(this.queryKey).setMatches(this, hits);
+      this.matchCount = hits.length;
+      this.__committedQuery = query;
+      this.__committed = true;
+
+      // The ancestor may have been defined/connected after this target
+      if (!this.__parentTarget) this._connectToParentTarget();
+      this._scheduleAggregate();
+    }
+
+    /**
+     * Registers with the nearest ancestor target of the same key and store,
+     * across shadow boundaries.
+     */
+    _connectToParentTarget() {
+      const event = new CustomEvent(QUERY_TARGET_CONNECT, {
+        bubbles: true,
+        composed: true,
+        detail: { target: this, key: this.queryKey, store: this.__store, parent: null },
+      });
+      this.dispatchEvent(event);
+      this.__parentTarget = event.detail.parent;
+    }
+
+    /**
+     * @param {CustomEvent} e
+     */
+    _onTargetConnect = (e) => {
+      const { target, key, store, parent } = e.detail;
+      if (target === this || parent || !this.isConnected) return;
+      // Children may connect first (e.g. this element was upgraded later)
+      this.__store ??= this.queryStore || requestQueryStore(this);
+      if (key !== this.queryKey || store !== this.__store) return;
+      e.stopPropagation();
+      e.detail.parent = this;
+      this.__childTargets.add(target);
+      this._scheduleAggregate();
+    };
+
+    /**
+     * @param {HTMLElement} child
+     */
+    _removeChildTarget(child) {
+      if (this.__childTargets.delete(child) && this.isConnected) this._scheduleAggregate();
+    }
+
+    /**
+     * Targets commit one by one and in any order (subscription order, async passes);
+     * aggregate once after all of them are done.
+     */
+    _scheduleAggregate() {
+      if (this.__aggregateScheduled) return;
+      this.__aggregateScheduled = true;
+      queueMicrotask(() => {
+        this.__aggregateScheduled = false;
+        if (this.isConnected) this._aggregateMatches();
+      });
+    }
+
+    /**
+     * Match state of the nested targets, bottom-up.
+     *
+     * @returns {{ hasMatch: boolean, count: number, pending: boolean }}
+     *   `pending`: a nested target is still running an async pass.
+     */
+    _collectShadowMatches() {
+      const total = { hasMatch: false, count: 0, pending: false };
+      this.__childTargets.forEach((child) => {
+        if (!child.isConnected) return;
+        const nested = child._collectShadowMatches();
+        total.hasMatch ||= child.hasLocalMatch || nested.hasMatch;
+        total.count += child.matchCount + nested.count;
+        total.pending ||= Boolean(child.__pass) || nested.pending;
+      });
+      return total;
+    }
+
+    /**
+     * Combines the local and nested match state, applies the filter and reports the result
+     * to listeners and to the parent target. Skipped while this or a nested target is still
+     * processing; their commit schedules it again.
+     */
+    _aggregateMatches() {
+      const shadow = this._collectShadowMatches();
+      if (this.__pass || shadow.pending) return;
+
+      const changed = this.__committed ||
+        this.hasShadowMatch !== shadow.hasMatch ||
+        this.shadowMatchCount !== shadow.count;
+      this.__committed = false;
+      this.hasShadowMatch = shadow.hasMatch;
+      this.shadowMatchCount = shadow.count;
+      this.hasAnyMatch = this.hasLocalMatch || this.hasShadowMatch;
+      this._applyFilter();
+      if (!changed) return;
+
+      this.__parentTarget?._scheduleAggregate();
+      this.dispatchEvent(new CustomEvent(QUERY_MATCH_CHANGE, {
+        bubbles: true,
+        composed: true,
+        detail: {
+          key: this.queryKey,
+          query: this.__committedQuery,
+          hasAnyMatch: this.hasAnyMatch,
+          hasLocalMatch: this.hasLocalMatch,
+          hasShadowMatch: this.hasShadowMatch,
+          matchCount: this.matchCount,
+          shadowMatchCount: this.shadowMatchCount,
+        },
+      }));
+    }
+
+    /**
+     * `observe` mode: text added or changed inside the container later (Lit re-renders,
+     * lazy loading) is highlighted without waiting for the next query change.
+     */
+    _startObserving() {
+      const container = this._highlightContainer;
+      // A running async pass restarts observing when it is done
+      if (this.__observer || this.__pass || !container) return;
+      this.__observer = createHighlightObserver((nodes) => this._onTextChange(nodes));
+      this.__observer.observe(container);
+    }
+
+    _stopObserving() {
+      this.__observer?.disconnect();
+      this.__observer = null;
+    }
+
+    /**
+     * @param {Text[]} nodes - Text nodes added or changed since the last pass.
+     */
+    _onTextChange(nodes) {
+      const store = this.activeQueryStore;
+      const query = store.getQuery(this.queryKey);
+      const container = this._highlightContainer;
+      if (!query?.trim() || !container) return;
+
+      const options = { ...store.getQueryOptions(this.queryKey), key: this };
+      const result = options.querySyntax
+        ? highlightMatches(container, query, options)
+        : refreshHighlights(container, nodes, query, options);
+      this.__observer?.discardRecords();
+      if (options.querySyntax) this.__observer?.clear();
+      this._commitMatches(query, result);
+    }
+
+    /**
+     * In filter mode a target without any match (while a query is set) collapses away.
+     */
+    _applyFilter() {
+      setFilteredOut(this, Boolean(this.filter && this.hasQuery && !this.hasAnyMatch));
+    }
+
+    /**
+     * Options stored with the query of a source; subclasses may add their own.
+     * @returns {object}
+     */
+    _queryOptions() {
+      return this.options ?? highlightOptions;
     }
 
     updateQuery(value) {
       if (type === 'source') {
-        setQuery(key, value, highlightOptions);
+        this.activeQueryStore.setQuery(this.queryKey, value, this._queryOptions());
       }
     }
   };
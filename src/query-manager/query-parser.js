@@ -0,0 +1,188 @@
+// query-parser.js
+
+/**
+ * Small query language for `query-input` / `setQuery` (enabled with `querySyntax: true`):
+ *
+ * - `apple banana`      both words (AND)
+ * - `"exact phrase"`    the phrase as one term
+ * - `-excluded`         must not match (also `-"a phrase"`)
+ * - `apple OR pear`     either side; binds weaker than AND
+ * - `field:value`       only inside elements with `data-highlight="field"`
+ *
+ * A prefix is a field only when its name starts with a letter and the value follows the colon
+ * directly, so `12:30`, `Ref: 123` and `https://…` stay plain words. When the caller knows
+ * the fields (`options.fields`), only those names are fields.
+ *
+ * @typedef {{ type: 'term', value: string, phrase: boolean, field: string | null, start: number, end: number }} TermNode
+ * @typedef {{ type: 'not', child: TermNode }} NotNode
+ * @typedef {{ type: 'and', children: Array<TermNode | NotNode> }} AndNode
+ * @typedef {{ type: 'or', children: AndNode[] }} OrNode
+ * @typedef {OrNode | AndNode | NotNode | TermNode} QueryNode
+ *
+ * @typedef {Object} QueryDiagnostic
+ * @property {'unterminated-phrase' | 'empty-field' | 'dangling-operator' | 'empty-exclusion'} code
+ * @property {'error' | 'warning'} severity
+ * @property {string} message
+ * @property {number} start - Offset in the raw query.
+ * @property {number} end - Offset in the raw query (exclusive).
+ */
+
+const FIELD_RE = /^(\p{L}[\p{L}\p{N}_-]*):(?!\/\/)/u;
+
+/**
+ * Splits the raw query into word, phrase, minus and OR tokens with their offsets.
+ *
+ * @param {string} input
+ * @param {QueryDiagnostic[]} diagnostics
+ * @param {Set<string> | null} fields - Known field names, or null to accept any.
+ * @returns {Array<{ kind: 'word' | 'phrase' | 'or', value: string, field: string | null, negated: boolean, start: number, end: number }>}
+ */
+function tokenize(input, diagnostics, fields) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let negated = false;
+    let field = null;
+
+    if (input[i] === '-') {
+      negated = true;
+      i++;
+    }
+
+    const fieldMatch = FIELD_RE.exec(input.slice(i));
+    const hasValue = Boolean(fieldMatch) && /\S/.test(input[i + fieldMatch[0].length] ?? '');
+    // A known field without a value is reported below; an unknown one is just a word
+    if (fieldMatch && (fields ? fields.has(fieldMatch[1]) : hasValue)) {
+      field = fieldMatch[1];
+      i += fieldMatch[0].length;
+    }
+
+    if (input[i] === '"') {
+      const close = input.indexOf('"', i + 1);
+      const end = close === -1 ? input.length : close + 1;
+      if (close === -1) {
+        diagnostics.push({
+          code: 'unterminated-phrase',
+          severity: 'error',
+          message: 'Missing closing quote, the rest of the query is used as the phrase.',
+          start,
+          end,
+        });
+      }
+      tokens.push({ kind: 'phrase', value: input.slice(i + 1, close === -1 ? end : close), field, negated, start, end });
+      i = end;
+      continue;
+    }
+
+    let end = i;
+    while (end < input.length && !/\s/.test(input[end])) end++;
+    const value = input.slice(i, end);
+    i = end;
+
+    if (value === 'OR' && !negated && !field) {
+      tokens.push({ kind: 'or', value, field, negated, start, end });
+    } else if (!value && field) {
+      diagnostics.push({ code: 'empty-field', severity: 'warning', message: `"${field}:" has no value and is ignored.`, start, end });
+    } else if (!value) {
+      diagnostics.push({ code: 'empty-exclusion', severity: 'warning', message: '"-" has nothing to exclude and is ignored.', start, end });
+    } else {
+      tokens.push({ kind: 'word', value, field, negated, start, end });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parses a raw query. Never throws: problems are reported as diagnostics and the
+ * parser recovers by ignoring or completing the broken part.
+ *
+ * @param {string} input
+ * @param {{ fields?: Iterable<string> }} [options] - `fields`: names that may scope a term.
+ * @returns {{ ast: OrNode | null, diagnostics: QueryDiagnostic[] }}
+ */
+export function parseQuery(input, { fields } = {}) {
+  const diagnostics = [];
+  const tokens = tokenize(input ?? '', diagnostics, fields ? new Set(fields) : null);
+  const groups = [];
+  let current = [];
+
+  tokens.forEach((token, index) => {
+    if (token.kind === 'or') {
+      if (!current.length || index === tokens.length - 1) {
+        diagnostics.push({
+          code: 'dangling-operator',
+          severity: 'warning',
+          message: '"OR" needs a term on both sides and is ignored.',
+          start: token.start,
+          end: token.end,
+        });
+        return;
+      }
+      groups.push(current);
+      current = [];
+      return;
+    }
+
+    if (!token.value.trim()) return;
+
+    /** @type {TermNode} */
+    const term = {
+      type: 'term',
+      value: token.value,
+      phrase: token.kind === 'phrase',
+      field: token.field,
+      start: token.start,
+      end: token.end,
+    };
+    current.push(token.negated ? { type: 'not', child: term } : term);
+  });
+
+  if (current.length) groups.push(current);
+  diagnostics.sort((a, b) => a.start - b.start);
+  if (!groups.length) return { ast: null, diagnostics };
+
+  return {
+    ast: { type: 'or', children: groups.map(children => ({ type: 'and', children })) },
+    diagnostics,
+  };
+}
+
+/**
+ * Terms that should be highlighted: every term that is not excluded.
+ *
+ * @param {QueryNode | null} ast
+ * @returns {TermNode[]}
+ */
+export function getPositiveTerms(ast) {
+  if (!ast) return [];
+  if (ast.type === 'term') return [ast];
+  if (ast.type === 'not') return [];
+  return ast.children.flatMap(getPositiveTerms);
+}
+
+/**
+ * Decides whether the query matches, given a predicate that checks a single term.
+ * An AND group made only of exclusions matches when none of them is found.
+ *
+ * @param {QueryNode | null} ast
+ * @param {(term: TermNode) => boolean} hasTerm
+ * @returns {boolean}
+ */
+export function evaluateQuery(ast, hasTerm) {
+  if (!ast) return false;
+  switch (ast.type) {
+    case 'term': return hasTerm(ast);
+    case 'not': return !hasTerm(ast.child);
+    case 'and': return ast.children.every(child => evaluateQuery(child, hasTerm));
+    case 'or': return ast.children.some(child => evaluateQuery(child, hasTerm));
+    default: return false;
+  }
+}
@@ -0,0 +1,130 @@
+// query-persistence.js
+
+import { defaultQueryStore } from './query-manager.js';
+import { debounce } from './trottling.js';
+
+/**
+ * @typedef {Object} QueryPersistOptions
+ * @property {'search' | 'hash' | false} [url=false] - Mirror the value into `location.search` or `location.hash`.
+ * @property {boolean} [storage=false] - Mirror the value into sessionStorage.
+ * @property {string} [param] - URL parameter / storage name. Default: the query key.
+ * @property {number} [debounce=300] - Delay in ms before a change is written.
+ * @property {object} [options] - Match options a restored value is set with while the store
+ *   has none for the key yet (no source has set it); the store's current options win.
+ */
+
+/**
+ * Reads `param` from the search string or the hash (`#q=...&other=...`).
+ *
+ * @param {'search' | 'hash'} mode
+ * @param {string} param
+ * @returns {string | null}
+ */
+function readFromUrl(mode, param) {
+  const source = mode === 'hash' ? location.hash.slice(1) : location.search;
+  return new URLSearchParams(source).get(param);
+}
+
+/**
+ * Writes `param` into the search string or the hash via history.replaceState.
+ * Empty values remove the parameter.
+ *
+ * @param {'search' | 'hash'} mode
+ * @param {string} param
+ * @param {string} value
+ */
+function writeToUrl(mode, param, value) {
+  const url = new URL(location.href);
+  const params = new URLSearchParams(mode === 'hash' ? url.hash.slice(1) : url.search);
+
+  if (value) params.set(param, value);
+  else params.delete(param);
+
+  if (mode === 'hash') url.hash = params.toString();
+  else url.search = params.toString();
+
+  if (url.href !== location.href) history.replaceState(history.state, '', url);
+}
+
+/**
+ * Opt-in sync layer between a query store and the URL / sessionStorage.
+ *
+ * Persisted values are restored synchronously while installing, so call it
+ * before targets connect and their first `subscribeQuery` callback sees the
+ * restored query. The URL wins over storage when both hold a value.
+ * Back/forward navigation (`popstate`, `hashchange`) is pushed into the store.
+ *
+ * @example
+ * syncQueryState({
+ *   search: { url: 'search', param: 'q', debounce: 500, options: { splitWords: true } },
+ *   filters: { storage: true },
+ * });
+ *
+ * @param {Record<string, QueryPersistOptions>} keys - Which keys are persisted and how.
+ * @param {{ store?: ReturnType<import('./query-manager.js').createQueryStore>, storagePrefix?: string }} [options]
+ * @returns {() => void} Teardown: unsubscribes, removes listeners and drops pending writes.
+ */
+export function syncQueryState(keys, { store = defaultQueryStore, storagePrefix = 'query:' } = {}) {
+  if (typeof window === 'undefined') return () => {};
+
+  const entries = Object.entries(keys).map(([key, opts]) => ({
+    key,
+    url: opts.url || false,
+    storage: Boolean(opts.storage),
+    param: opts.param || key,
+    wait: opts.debounce ?? 300,
+    options: opts.options,
+  }));
+
+  // Only the value is persisted: it keeps the options the key already has in the store
+  const restore = (entry, value) => {
+    store.setQuery(entry.key, value, store.getQueryOptions(entry.key) ?? entry.options);
+  };
+
+  const readPersisted = ({ url, storage, param }) => {
+    const fromUrl = url ? readFromUrl(url, param) : null;
+    if (fromUrl !== null) return fromUrl;
+    return storage ? sessionStorage.getItem(storagePrefix + param) : null;
+  };
+
+  // Restore first, before anything else gets a chance to subscribe
+  entries.forEach((entry) => {
+    const value = readPersisted(entry);
+    if (value !== null && value !== store.getQuery(entry.key)) {
+      restore(entry, value);
+    }
+  });
+
+  const cleanups = entries.map((entry) => {
+    const write = debounce((value) => {
+      if (entry.url) writeToUrl(entry.url, entry.param, value);
+      if (entry.storage) {
+        if (value) sessionStorage.setItem(storagePrefix + entry.param, value);
+        else sessionStorage.removeItem(storagePrefix + entry.param);
+      }
+    }, entry.wait);
+
+    const unsubscribe = store.subscribeQuery(entry.key, (value) => write(value ?? ''));
+    return () => {
+      write.cancel();
+      unsubscribe();
+    };
+  });
+
+  const onNavigate = () => {
+    entries.forEach((entry) => {
+      if (!entry.url) return;
+      const value = readFromUrl(entry.url, entry.param) ?? '';
+      if (value !== (store.getQuery(entry.key) ?? '')) restore(entry, value);
+    });
+  };
+
+  window.addEventListener('popstate', onNavigate);
+  window.addEventListener('hashchange', onNavigate);
+
+  return () => {
+    cleanups.forEach((cleanup) => cleanup());
+    window.removeEventListener('popstate', onNavigate);
+    window.removeEventListener('hashchange', onNavigate);
+  };
+}
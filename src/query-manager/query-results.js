@@ -0,0 +1,211 @@
+// query-results.js
+
+import { html, css, LitElement } from 'lit';
+import { requestQueryStore, QUERY_MATCH_CHANGE } from './query-manager.js';
+
+/**
+ * Returns the parent of `node`, stepping out of shadow roots to their host.
+ *
+ * @param {Node} node
+ * @returns {Node | null}
+ */
+function composedParent(node) {
+  return node.parentNode instanceof ShadowRoot ? node.parentNode.host : node.parentNode;
+}
+
+/**
+ * <query-results> component
+ * Wraps the `highlight-target`s of one key, filters them and summarizes the result.
+ *
+ * - With `filter`, targets without a match collapse (animated) while a query is set.
+ * - Collapsible ancestors (`expand-selector`, default `my-collapse-item`) of matching
+ *   targets are opened, and closed again once the query is cleared.
+ * - The `empty` slot is shown when a query has no match at all.
+ * - Matches reported by search indexes of the key (`registerQueryIndex`) are summarized as
+ *   "N more in other pages". Indexed ids rendered here (`data-query-id`) are not counted twice.
+ *
+ * @element query-results
+ * @property {string} key - Query key of the wrapped targets
+ * @property {boolean} filter - Hide targets without a match
+ * @property {string} expandSelector - Selector of ancestors to open for matching targets
+ * @fires query-results - detail: { key, query, count, total, otherPages }
+ * @slot - The targets
+ * @slot empty - Shown when the query matches nothing
+ * @csspart summary - The "N results" live region
+ */
+class QueryResults extends LitElement {
+  static properties = {
+    key: { type: String, reflect: true },
+    filter: { type: Boolean, reflect: true },
+    expandSelector: { type: String, attribute: 'expand-selector' },
+    _query: { state: true },
+    _count: { state: true },
+    _total: { state: true },
+    _otherPages: { state: true },
+  };
+
+  static styles = css`
+    :host {
+      display: block;
+    }
+
+    .summary {
+      margin: 0.25rem 0;
+      font-size: 0.875rem;
+    }
+
+    [hidden] {
+      display: none;
+    }
+  `;
+
+  constructor() {
+    super();
+    this.filter = false;
+    this.expandSelector = 'my-collapse-item';
+    this._query = '';
+    this._count = 0;
+    this._total = 0;
+    this._otherPages = 0;
+    /** @private Targets seen through query-match-change events, with their last match state */
+    this._targets = new Map();
+    /** @private Ancestors opened by this component, closed again when the query is cleared */
+    this._expanded = new Set();
+    this._recountScheduled = false;
+    this.addEventListener(QUERY_MATCH_CHANGE, this._onMatchChange);
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    const store = requestQueryStore(this);
+    this._query = store.getQuery(this.key) ?? '';
+    this.__unsub = store.subscribeQuery(this.key, (query) => {
+      this._query = query ?? '';
+      this._scheduleRecount();
+    });
+    this._indexResults = store.getIndexResults(this.key);
+    this.__unsubIndex = store.subscribeIndexResults(this.key, (results) => {
+      this._indexResults = results;
+      this._scheduleRecount();
+    });
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.__unsub?.();
+    this.__unsubIndex?.();
+  }
+
+  updated(changedProps) {
+    super.updated(changedProps);
+    if (changedProps.has('filter')) {
+      this._targets.forEach((_, target) => { target.filter = this.filter; });
+    }
+  }
+
+  _onMatchChange = (e) => {
+    if (e.detail.key !== this.key) return;
+    const target = e.composedPath()[0];
+    if (this.filter) target.filter = true;
+    this._targets.set(target, e.detail.hasAnyMatch);
+    this._scheduleRecount();
+  };
+
+  /**
+   * Targets report one by one; recount once after all of them processed the query.
+   */
+  _scheduleRecount() {
+    if (this._recountScheduled) return;
+    this._recountScheduled = true;
+    queueMicrotask(() => {
+      this._recountScheduled = false;
+      this._recount();
+    });
+  }
+
+  _recount() {
+    const hasQuery = Boolean(this._query.trim());
+    let count = 0;
+
+    this._targets.forEach((hasAnyMatch, target) => {
+      if (!target.isConnected) {
+        this._targets.delete(target);
+        return;
+      }
+      if (hasQuery && hasAnyMatch) {
+        count++;
+        this._expandAncestors(target);
+      }
+    });
+
+    if (!hasQuery) this._collapseExpanded();
+
+    this._count = count;
+    this._total = this._targets.size;
+    this._otherPages = hasQuery ? this._countOtherPages() : 0;
+    this.dispatchEvent(new CustomEvent('query-results', {
+      bubbles: true,
+      composed: true,
+      detail: { key: this.key, query: this._query, count, total: this._total, otherPages: this._otherPages },
+    }));
+  }
+
+  /**
+   * Index matches of the current query that are not rendered inside this element.
+   * @returns {number}
+   */
+  _countOtherPages() {
+    const { query, results = [] } = this._indexResults ?? {};
+    if (query !== this._query) return 0;
+
+    const rendered = new Set(
+      Array.from(this.querySelectorAll('[data-query-id]'), (el) => el.getAttribute('data-query-id'))
+    );
+    return results.reduce(
+      (sum, { count, ids }) => sum + count - ids.filter((id) => rendered.has(String(id))).length,
+      0
+    );
+  }
+
+  /**
+   * Opens every closed collapsible between `target` and this element.
+   *
+   * @param {Element} target
+   */
+  _expandAncestors(target) {
+    if (!this.expandSelector) return;
+
+    for (let node = composedParent(target); node && node !== this; node = composedParent(node)) {
+      if (node instanceof Element && node.matches(this.expandSelector) && !node.open) {
+        node.open = true;
+        this._expanded.add(node);
+      }
+    }
+  }
+
+  _collapseExpanded() {
+    this._expanded.forEach((node) => {
+      if (typeof node.closeByList === 'function') node.closeByList();
+      else node.open = false;
+    });
+    this._expanded.clear();
+  }
+
+  render() {
+    const hasQuery = Boolean(this._query.trim());
+    const otherPages = this._otherPages > 0 ? `, ${this._otherPages} more in other pages` : '';
+    const summary = (this._count === 1 ? '1 result' : `${this._count} results`) + otherPages;
+
+    return html`
+      <div class="summary" part="summary" role="status" aria-live="polite" ?hidden=${!hasQuery}>
+        ${hasQuery ? summary : ''}
+      </div>
+      <slot></slot>
+      <div ?hidden=${!hasQuery || this._count > 0 || this._otherPages > 0}>
+        <slot name="empty">No results</slot>
+      </div>
+    `;
+  }
+}
+
+customElements.define('query-results', QueryResults);
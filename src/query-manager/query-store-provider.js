@@ -0,0 +1,42 @@
+// query-store-provider.js
+
+import { html, css, LitElement } from 'lit';
+import { createQueryStore, QUERY_STORE_REQUEST } from './query-manager.js';
+
+/**
+ * <query-store-provider> component
+ * Owns an isolated query store and hands it to every `query-input` /
+ * `highlight-target` inside its subtree (shadow roots included).
+ *
+ * @element query-store-provider
+ * @property {object} store - The scoped store, created by `createQueryStore()` unless assigned
+ */
+class QueryStoreProvider extends LitElement {
+  static properties = {
+    store: { attribute: false },
+  };
+
+  static styles = css`
+    :host {
+      display: contents;
+    }
+  `;
+
+  constructor() {
+    super();
+    this.store = createQueryStore();
+    this.addEventListener(QUERY_STORE_REQUEST, this._onStoreRequest);
+  }
+
+  _onStoreRequest = (e) => {
+    if (e.detail.store) return;
+    e.detail.store = this.store;
+    e.stopPropagation();
+  };
+
+  render() {
+    return html`<slot></slot>`;
+  }
+}
+
+customElements.define('query-store-provider', QueryStoreProvider);
@@ -3,15 +3,16 @@
  * The throttled function invokes the original callback at most once
  * every `limit` milliseconds. If multiple calls occur during the wait time,
  * the last one will be executed after the delay.
+ * The returned function exposes `cancel()` to drop a pending call.
  *
  * @template TArgs
  * @param {(this: any, ...args: TArgs[]) => any} callback - The original function to throttle
  * @param {number} limit - Minimum delay in milliseconds between invocations
- * @returns {(this: any, ...args: TArgs[]) => void} - A throttled wrapper function
+ * @returns {((this: any, ...args: TArgs[]) => void) & { cancel: () => void }} - A throttled wrapper function
  */
 export function throttle(callback, limit = 250) {
   let lastCall = 0; // Timestamp of the last execution
-  let scheduled = false; // Whether a delayed execution is already scheduled
+  let timer = null; // Pending delayed execution, if scheduled
   let lastArgs; // Last arguments passed to the throttled function
   let context;  // `this` context to apply the original function with
 
@@ -31,15 +32,49 @@ export function throttle(callback, limit = 250) {
       callback.apply(context, lastArgs);
     }
     // Otherwise, schedule execution after the remaining time
-    else if (!scheduled) {
-      scheduled = true;
-      setTimeout(() => {
+    else if (!timer) {
+      timer = setTimeout(() => {
         lastCall = Date.now();
-        scheduled = false;
+        timer = null;
         callback.apply(context, lastArgs);
       }, limit - (now - lastCall));
     }
   }
 
+  throttled.cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
   return throttled;
-}
\ No newline at end of file
+}
+
+/**
+ * Creates a debounced version of the given function.
+ * The callback runs once, `wait` milliseconds after the last call.
+ * The returned function exposes `cancel()` to drop a pending call.
+ *
+ * @template TArgs
+ * @param {(this: any, ...args: TArgs[]) => any} callback - The original function to debounce
+ * @param {number} wait - Delay in milliseconds after the last call
+ * @returns {((this: any, ...args: TArgs[]) => void) & { cancel: () => void }} - A debounced wrapper function
+ */
+export function debounce(callback, wait = 250) {
+  let timer = null; // Pending timeout id
+
+  function debounced(...args) {
+    const context = this;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      callback.apply(context, args);
+    }, wait);
+  }
+
+  debounced.cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  return debounced;
+}
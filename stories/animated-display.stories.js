@@ -1,106 +1,246 @@
-// highlight.stories.js
+// animated-display.stories.js
 
 import { html } from 'lit';
-import '../src/query-manager/query-input.js';
-import '../src/query-manager/highlight-target.js';
+import { expect, spyOn } from 'storybook/test';
+import { registerAnimation } from '../src/animated-display/AnimatedDisplay.js';
+import { playAnimation } from '../src/animated-display/animations.js';
+import { notify } from '../src/animated-display/ToastStack.js';
 
 export default {
-  title: 'Query Highlight/Scenarios',
+  title: 'Animated Display/Scenarios',
 };
 
-export const BasicHighlighting = () => html`
-  <query-input key="demo-basic" .options=${{
-    splitWords: true,
-    normalizers: 'default',
-  }}></query-input>
-  <highlight-target key="demo-basic">
-    <div data-highlight>
-      This is a test text with some words to highlight like apple and banana.
-    </div>
-  </highlight-target>
-`;
-
-export const WithExactMatch = () => html`
-  <query-input key="demo-exact" .options=${{
-    exactMatch: true,
-    normalizers: 'default',
-  }}></query-input>
-  <highlight-target key="demo-exact">
-    <div data-highlight>
-      Try searching for "man" or "manly" and see the difference.
-    </div>
-  </highlight-target>
-`;
-
-export const CustomNormalizer = () => html`
-  <query-input key="demo-custom" .options=${{
-    splitWords: false,
-    normalizers: [
-      'default',
-      (s) => s.replace(/a/g, 'o'),
-    ],
-  }}></query-input>
-  <highlight-target key="demo-custom">
-    <div data-highlight>
-      A sentence with apple, banana and avocado inside.
-    </div>
-  </highlight-target>
-`;
-
-export const MultipleTargets = () => html`
-  <query-input key="demo-multi" .options=${{
-    splitWords: true,
-  }}></query-input>
-  <highlight-target key="demo-multi">
-    <div data-highlight>
-      First block with mango and pineapple.
-    </div>
-  </highlight-target>
-  <highlight-target key="demo-multi">
-    <div data-highlight>
-      Second block includes banana and apple.
-    </div>
-  </highlight-target>
-`;
-
-export const WithQueryIndicator = () => html`
-  <query-input key="demo-status" .options=${{
-    splitWords: true,
-  }}></query-input>
-  <highlight-target key="demo-status">
-    <div data-highlight>
-      The quick brown fox jumps over the lazy dog.
-    </div>
-    <div>
-      <strong>Status:</strong>
-      <span id="status"></span>
-    </div>
-  </highlight-target>
-
-  <script type="module">
-    customElements.whenDefined('highlight-target').then(() => {
-      const target = document.querySelector('highlight-target');
-      const status = document.getElementById('status');
-      const updateStatus = () => {
-        status.textContent = `hasQuery: ${target.hasQuery}, localMatch: ${target.hasLocalMatch}, shadowMatch: ${target.hasShadowMatch}, anyMatch: ${target.hasAnyMatch}`;
-      };
-      new MutationObserver(updateStatus).observe(target, { attributes: true });
-      updateStatus();
-    });
-  </script>
-`;
-
-export const NestedTargets = () => html`
-  <query-input key="demo-nested" .options=${{
-    splitWords: true,
-    normalizers: 'default',
-  }}></query-input>
-  <highlight-target key="demo-nested">
-    Outer content with <span data-highlight>apple and orange</span>
-    <highlight-target key="demo-nested">
-      <div data-highlight>
-        Inner block: banana and mango.
-      </div>
-    </highlight-target>
-  </highlight-target>
-`;
+export const NotificationQueue = () => {
+  const display = () => document.querySelector('#demo-notifications');
+  const send = (priority, content, duration) => display().enqueue({ priority, content, duration });
+  const onEvent = (e) => {
+    const log = document.querySelector('#demo-notification-log');
+    log.textContent = `${e.type.replace('notification-', '')}: ${e.detail.item.content}` +
+      `${e.detail.reason ? ` (${e.detail.reason})` : ''}\n${log.textContent}`;
+  };
+
+  return html`
+    <p>
+      Errors preempt the shown message, the same message is queued once, and at most 3 messages
+      wait (the newest lowest-priority one is dropped).
+    </p>
+    <button @click=${() => send('info', 'Statement is ready')}>Info</button>
+    <button @click=${() => send('success', 'Transfer sent', 1500)}>Success</button>
+    <button @click=${() => send('error', 'Payment failed: card declined', 4000)}>Error</button>
+    <button @click=${() => display().clear(item => item.priority === 0)}>Clear infos</button>
+    <animated-display
+      id="demo-notifications"
+      animation="slide-up"
+      .maxQueueLength=${3}
+      @notification-queued=${onEvent}
+      @notification-show=${onEvent}
+      @notification-hide=${onEvent}
+      @notification-removed=${onEvent}
+    ></animated-display>
+    <pre id="demo-notification-log"></pre>
+  `;
+};
+
+NotificationQueue.play = async ({ canvasElement }) => {
+  const display = canvasElement.querySelector('#demo-notifications');
+  await display.updateComplete;
+  const events = [];
+  const onEvent = (e) => events.push(`${e.type.replace('notification-', '')}: ${e.detail.item.content}` +
+    `${e.detail.reason ? ` (${e.detail.reason})` : ''}`);
+  ['queued', 'show', 'hide', 'removed'].forEach(type => display.addEventListener(`notification-${type}`, onEvent));
+  const next = (type) => new Promise(resolve => (
+    display.addEventListener(`notification-${type}`, e => resolve(e.detail.item), { once: true })
+  ));
+  const send = (priority, content) => display.enqueue({ priority, content, duration: 60000 });
+  const contents = () => display.queuedNotifications.map(item => item.content);
+
+  // Preemption: the error takes the place of the shown info, which waits again in front
+  const statement = send('info', 'Statement is ready');
+  const shown = next('show');
+  const payment = send('error', 'Payment failed');
+  await expect(events).toEqual(expect.arrayContaining([
+    'hide: Statement is ready (preempted)',
+    'queued: Statement is ready (preempted)',
+  ]));
+  await expect((await shown).content).toBe('Payment failed');
+
+  // Priority order: higher first, the preempted info after the newer success
+  send('success', 'Transfer sent');
+  send('warning', 'Card expires soon');
+  await expect(contents()).toEqual(['Card expires soon', 'Transfer sent', 'Statement is ready']);
+
+  // Overflow (3 waiting, drop-lowest): the newest lowest-priority item is dropped
+  await expect(await send('info', 'Newsletter')).toBe('overflow');
+  send('warning', 'Limit reached');
+  await expect(await statement).toBe('overflow');
+  await expect(contents()).toEqual(['Card expires soon', 'Limit reached', 'Transfer sent']);
+
+  // hide() resolves after the leave animation, the content stays until then
+  const wrapper = display.shadowRoot.querySelector('.wrapper');
+  const hidden = display.hide();
+  await display.updateComplete;
+  await expect(wrapper.classList.contains('hidden')).toBe(false);
+  await expect(wrapper.textContent).toContain('Payment failed');
+  await expect(await hidden).toBe(true);
+  await display.updateComplete;
+  await expect(wrapper.classList.contains('hidden')).toBe(true);
+  await expect(await payment).toBe('hidden');
+
+  await expect(display.clear()).toBe(3);
+};
+
+export const ToastStack = () => {
+  const stack = () => document.querySelector('#demo-toasts');
+  const undoToast = () => notify({
+    priority: 'warning',
+    interactive: true,
+    duration: 8000,
+    content: html`Transfer scheduled. <button @click=${() => stack().dismiss('undo')}>Undo</button>`,
+    id: 'undo',
+  });
+
+  return html`
+    <p>
+      At most 3 toasts are visible, the rest wait (errors first). Alt+T focuses the interactive
+      toast, Escape dismisses it.
+    </p>
+    <label>
+      Position
+      <select @change=${(e) => (stack().position = e.target.value)}>
+        ${['bottom-end', 'bottom-start', 'top-end', 'top-start'].map(p => html`<option>${p}</option>`)}
+      </select>
+    </label>
+    <button @click=${() => notify('Statement is ready')}>Info</button>
+    <button @click=${() => notify({ priority: 'success', content: 'Transfer sent' })}>Success</button>
+    <button @click=${() => notify({ priority: 'error', content: 'Payment failed: card declined' })}>Error</button>
+    <button @click=${undoToast}>Interactive</button>
+    <button @click=${() => stack().clear()}>Clear all</button>
+    <toast-stack id="demo-toasts"></toast-stack>
+  `;
+};
+
+ToastStack.play = async ({ canvasElement }) => {
+  const stack = canvasElement.querySelector('#demo-toasts');
+  await stack.updateComplete;
+  const settled = () => new Promise(resolve => setTimeout(resolve, 50));
+  const shown = () => [...stack.shadowRoot.querySelectorAll('.toast:not(.leaving) animated-display')]
+    .map(display => display.shadowRoot.textContent.trim());
+  const toast = (priority, content) => stack.notify({ priority, content, duration: 60000 });
+
+  // At most 3 visible, the rest wait; a dismissed toast makes room for the next by priority
+  const [first, second] = ['One', 'Two', 'Three', 'Four'].map(content => toast('info', content));
+  toast('error', 'Disk full');
+  await settled();
+  await expect(shown()).toEqual(['One', 'Two', 'Three']);
+
+  stack.dismiss('Two');
+  await expect(await second).toBe('dequeued');
+  await settled();
+  await expect(shown()).toEqual(['One', 'Three', 'Disk full']);
+
+  stack.dismiss('One');
+  await expect(await first).toBe('dequeued');
+  await settled();
+  await expect(shown()).toEqual(['Three', 'Disk full', 'Four']);
+
+  await expect(stack.clear()).toBe(3);
+  await new Promise(resolve => setTimeout(resolve, stack.transitionDuration));
+  await settled();
+  await expect(shown()).toEqual([]);
+
+  // The hotkey focuses the interactive toast, Escape dismisses it and focus returns
+  const opener = [...canvasElement.querySelectorAll('button')].find(button => button.textContent === 'Interactive');
+  opener.focus();
+  const undo = stack.notify({ id: 'undo', priority: 'warning', interactive: true, duration: 60000, content: 'Transfer scheduled' });
+  await settled();
+
+  document.dispatchEvent(new KeyboardEvent('keydown', { key: 't', code: 'KeyT', altKey: true, bubbles: true }));
+  const focused = stack.shadowRoot.activeElement;
+  await expect(focused?.classList.contains('toast')).toBe(true);
+  await expect(focused.querySelector('animated-display').shadowRoot.textContent).toContain('Transfer scheduled');
+
+  focused.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true, composed: true }));
+  await expect(await undo).toBe('dequeued');
+  await expect(document.activeElement).toBe(opener);
+};
+
+registerAnimation('drop-in', {
+  enter: [
+    { opacity: 0, transform: 'translateY(-24px) scale(0.96)' },
+    { opacity: 1, transform: 'translateY(4px) scale(1.01)', offset: 0.7 },
+    { opacity: 1, transform: 'none' },
+  ],
+  exit: [{ opacity: 1 }, { opacity: 0, transform: 'translateX(24px)' }],
+  timing: { easing: 'cubic-bezier(.2, .8, .2, 1)' },
+});
+
+export const CustomKeyframes = () => {
+  const display = () => document.querySelector('#demo-keyframes');
+  const hide = async () => {
+    const done = await display().hide();
+    document.querySelector('#demo-keyframes-status').value = done ? 'hidden' : 'reversed by show()';
+  };
+
+  return html`
+    <p>
+      "drop-in" is registered with <code>registerAnimation()</code>. Click Show while it is
+      hiding: the exit reverses from where it is. With reduced motion enabled in the OS it only fades.
+    </p>
+    <button @click=${() => display().show()}>Show</button>
+    <button @click=${hide}>Hide</button>
+    <output id="demo-keyframes-status"></output>
+    <animated-display id="demo-keyframes" animation="drop-in" .duration=${4000} .transitionDuration=${600}>
+      <p>Your card ending in 4242 was charged €12.50.</p>
+    </animated-display>
+  `;
+};
+
+CustomKeyframes.play = async ({ canvasElement }) => {
+  const display = canvasElement.querySelector('#demo-keyframes');
+  const status = canvasElement.querySelector('#demo-keyframes-status');
+  const [showButton, hideButton] = canvasElement.querySelectorAll('button');
+  await display.updateComplete;
+  const wrapper = display.shadowRoot.querySelector('.wrapper');
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  // The registered keyframes play; Show while hiding reverses the running exit in place
+  showButton.click();
+  await wait(display.transitionDuration + 100);
+  await expect(wrapper.getAnimations()[0].effect.getKeyframes()).toHaveLength(3);
+  hideButton.click();
+  await wait(display.transitionDuration / 3);
+  const [exit] = wrapper.getAnimations();
+  await expect(exit.playbackRate).toBe(1);
+  showButton.click();
+  await display.updateComplete;
+  await expect(wrapper.getAnimations()).toEqual([exit]);
+  await expect(exit.playbackRate).toBe(-1);
+  await wait(display.transitionDuration);
+  await expect(status.value).toBe('reversed by show()');
+  await display.hide();
+
+  // playAnimation(): the other direction reverses the running animation
+  const box = canvasElement.appendChild(document.createElement('div'));
+  const entering = playAnimation(box, 'drop-in', 'enter', { duration: 600 });
+  const exiting = playAnimation(box, 'drop-in', 'exit', { duration: 600 });
+  await expect(exiting).toBe(entering);
+  await expect(exiting.direction).toBe('exit');
+  await expect(exiting.animation.playbackRate).toBe(-1);
+  exiting.animation.finish();
+
+  // With reduced motion it only fades
+  const reducedMotion = spyOn(window, 'matchMedia').mockImplementation(query => ({
+    matches: query === '(prefers-reduced-motion: reduce)',
+    media: query,
+  }));
+  try {
+    const { animation } = playAnimation(box, 'drop-in', 'enter', { duration: 600 });
+    const keyframes = animation.effect.getKeyframes();
+    await expect(keyframes.map(frame => Number(frame.opacity))).toEqual([0, 1]);
+    await expect(keyframes.some(frame => 'transform' in frame)).toBe(false);
+    animation.finish();
+  } finally {
+    reducedMotion.mockRestore();
+    box.remove();
+  }
+};
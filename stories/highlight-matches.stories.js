@@ -0,0 +1,114 @@
+// highlight-matches.stories.js
+
+import { html } from 'lit';
+import { expect } from 'storybook/test';
+import { highlightMatches } from '../src/highlightMatches.js';
+import { highlightMatches as highlightMatchesExtended } from '../src/highlightMatches2.js';
+import { highlightMatches as highlightDom } from '../src/query-manager/query-manager.js';
+import { highlightText } from '../src/highlightText.js';
+
+export default {
+  title: 'Query Highlight/Offset Mapping',
+};
+
+/**
+ * Every preset with input whose length changes during normalization.
+ * `expected` is the slice of the original text that must end up inside <mark>.
+ */
+const templateCases = [
+  { normalizers: 'lowercase', text: 'Die STRAßE ist lang', query: 'straße', expected: 'STRAßE' },
+  { normalizers: 'trim', text: '  Grüße aus Köln  ', query: 'Köln', expected: 'Köln' },
+  { normalizers: 'no-diacritics', text: 'Crème brûlée à Paris', query: 'brulee', expected: 'brûlée' },
+  { normalizers: 'de-german', text: 'Große Straße in München', query: 'strasse', expected: 'Straße' },
+  { normalizers: ['lowercase', 'de-german'], text: 'Müller und Söhne', query: 'soehne', expected: 'Söhne' },
+  { normalizers: 'alnum', text: 'Ref: AB-12/34 done', query: 'AB1234', expected: 'AB-12/34' },
+  { normalizers: 'iban', text: 'IBAN DE89 3704 0044 0532 ok', query: 'de8937040044', expected: 'DE89 3704 0044' },
+];
+
+const extendedCases = [
+  { normalizers: 'alpha', text: 'Crème-Brûlée 42', query: 'cremebrulee', expected: 'Crème-Brûlée' },
+  { normalizers: 'numeric', text: 'Tel: +49 (30) 1234', query: '4930', expected: '49 (30' },
+  { normalizers: 'remove-punctuation', text: 'a.b,c!d e', query: 'abcd', expected: 'a.b,c!d' },
+  { normalizers: 'whitespace-collapse', text: 'foo    bar  baz', query: 'foo bar', expected: 'foo    bar' },
+];
+
+const domCases = [
+  { normalizers: 'default', text: 'Große Straße in München', query: 'strasse', expected: 'Straße' },
+  { normalizers: 'strict', text: 'Konto: DE-89 37/04', query: 'de893704', expected: 'DE-89 37/04' },
+  { normalizers: [(s) => s.normalize('NFD')], text: 'Café au lait', query: 'Café', expected: 'Café' },
+];
+
+const renderDomCase = ({ normalizers, text, query }) => {
+  const container = document.createElement('div');
+  container.innerHTML = '<span data-highlight></span>';
+  container.firstElementChild.textContent = text;
+  highlightDom(container, query, { normalizers, splitWords: false });
+  return container.firstElementChild;
+};
+
+const row = (engine, { normalizers, text, query, expected }, output) => html`
+  <tr data-expected=${expected}>
+    <td>${engine}</td>
+    <td><code>${JSON.stringify(normalizers)}</code></td>
+    <td><code>${query}</code></td>
+    <td class="output">${output}</td>
+  </tr>
+`;
+
+export const PresetMatrix = {
+  render: () => html`
+    <table>
+      <thead>
+        <tr><th>Engine</th><th>Normalizers</th><th>Query</th><th>Result</th></tr>
+      </thead>
+      <tbody>
+        ${templateCases.map(c => row('template', c, highlightMatches(c.text, c.query, { normalizers: c.normalizers, splitWords: false })))}
+        ${extendedCases.map(c => row('template (extended)', c, highlightMatchesExtended(c.text, c.query, { normalizers: c.normalizers, splitWords: false })))}
+        ${domCases.map(c => row('dom', c, renderDomCase(c)))}
+      </tbody>
+    </table>
+  `,
+  play: async ({ canvasElement }) => {
+    for (const tr of canvasElement.querySelectorAll('tbody tr')) {
+      const marks = tr.querySelectorAll('.output mark');
+      await expect(marks.length).toBe(1);
+      await expect(marks[0].textContent).toBe(tr.dataset.expected);
+    }
+  },
+};
+
+/**
+ * `highlightText.js` renders without lit/DOM; its HTML must equal the browser engine's.
+ */
+export const StringOutputs = {
+  render: () => {
+    const cases = [...templateCases, ...extendedCases];
+    return html`
+      <table>
+        <thead>
+          <tr><th>Query</th><th>Markers</th><th>Segments</th></tr>
+        </thead>
+        <tbody>
+          ${cases.map(({ text, query, normalizers }) => {
+            const options = { normalizers, splitWords: false };
+            return html`
+              <tr
+                data-browser=${highlightMatches(text, query, { ...options, output: 'html' })}
+                data-string=${highlightText(text, query, options)}
+              >
+                <td><code>${query}</code></td>
+                <td>${highlightText(text, query, { ...options, output: 'markers' })}</td>
+                <td><code>${JSON.stringify(highlightText(text, query, { ...options, output: 'segments' }).filter(s => s.match))}</code></td>
+              </tr>
+            `;
+          })}
+        </tbody>
+      </table>
+    `;
+  },
+  play: async ({ canvasElement }) => {
+    for (const tr of canvasElement.querySelectorAll('tbody tr')) {
+      await expect(tr.dataset.string).toBe(tr.dataset.browser);
+    }
+  },
+};
@@ -0,0 +1,223 @@
+// property-channels.stories.js
+
+import { html, LitElement } from 'lit';
+import { expect } from 'storybook/test';
+import {
+  createPropertyChannel,
+  TrackProperty,
+  SubscribeToProperty,
+  SyncProperty,
+} from '../src/query-manager/fff.js';
+
+export default {
+  title: 'Query Highlight/Property Channels',
+};
+
+const greeting = createPropertyChannel('demo-greeting');
+const selection = createPropertyChannel('demo-selection');
+const basket = createPropertyChannel('demo-basket');
+
+/** Publishes what is typed into its field. */
+class DemoChannelSource extends TrackProperty(LitElement, 'value', greeting) {
+  static properties = { value: { type: String } };
+
+  render() {
+    return html`<input .value=${this.value ?? ''} @input=${(e) => (this.value = e.target.value)} />`;
+  }
+}
+if (!customElements.get('demo-channel-source')) customElements.define('demo-channel-source', DemoChannelSource);
+
+/** Shows the last value of the channel, also when it connects after it was published. */
+class DemoChannelView extends SubscribeToProperty(LitElement, { value: greeting }) {
+  render() {
+    return html`<output>${this.value ?? '—'}</output>`;
+  }
+}
+if (!customElements.get('demo-channel-view')) customElements.define('demo-channel-view', DemoChannelView);
+
+/** Two-way: every field shows and changes the same selection. */
+class DemoSyncField extends SyncProperty(LitElement, { value: selection }) {
+  constructor() {
+    super();
+    this.received = 0;
+  }
+
+  willUpdate(changedProps) {
+    super.willUpdate?.(changedProps);
+    if (changedProps.has('value')) this.received++;
+  }
+
+  render() {
+    return html`
+      <select .value=${this.value ?? ''} @change=${(e) => (this.value = e.target.value)}>
+        ${['', 'apples', 'pears', 'plums'].map(fruit => html`<option>${fruit}</option>`)}
+      </select>
+    `;
+  }
+}
+if (!customElements.get('demo-sync-field')) customElements.define('demo-sync-field', DemoSyncField);
+
+/** An array that is mutated in place: `equals: () => false` publishes it on every update. */
+const basketBinding = { key: basket, equals: () => false };
+
+class DemoBasketEditor extends TrackProperty(LitElement, { items: basketBinding }) {
+  static properties = { items: { attribute: false } };
+
+  constructor() {
+    super();
+    this.items = [];
+  }
+
+  add() {
+    this.items.push(`item ${this.items.length + 1}`);
+    this.requestUpdate('items');
+  }
+
+  render() {
+    return html`<button @click=${this.add}>Add to basket</button>`;
+  }
+}
+if (!customElements.get('demo-basket-editor')) customElements.define('demo-basket-editor', DemoBasketEditor);
+
+class DemoBasketView extends SubscribeToProperty(LitElement, { items: basketBinding }) {
+  render() {
+    return html`<output>${this.items?.length ?? 0} items</output>`;
+  }
+}
+if (!customElements.get('demo-basket-view')) customElements.define('demo-basket-view', DemoBasketView);
+
+export const LateSubscriber = {
+  render: () => html`
+    <p>
+      The view is added after a value was published and shows it right away. Detached, it misses
+      nothing: attaching it again replays the last value.
+    </p>
+    <demo-channel-source value="hello"></demo-channel-source>
+    <div id="demo-view-slot"></div>
+  `,
+  play: async ({ canvasElement }) => {
+    const source = canvasElement.querySelector('demo-channel-source');
+    const slot = canvasElement.querySelector('#demo-view-slot');
+    await source.updateComplete;
+
+    const view = document.createElement('demo-channel-view');
+    slot.append(view);
+    await expect(view.value).toBe('hello');
+
+    view.remove();
+    source.value = 'while detached';
+    await source.updateComplete;
+    await expect(view.value).toBe('hello');
+
+    slot.append(view);
+    await expect(view.value).toBe('while detached');
+
+    source.value = 'attached again';
+    await source.updateComplete;
+    await expect(view.value).toBe('attached again');
+  },
+};
+
+export const TwoWaySync = {
+  render: () => html`
+    <p>Both fields are bound to the same channel; changing either one updates the other.</p>
+    <demo-sync-field id="demo-sync-a"></demo-sync-field>
+    <demo-sync-field id="demo-sync-b"></demo-sync-field>
+  `,
+  play: async ({ canvasElement }) => {
+    const a = canvasElement.querySelector('#demo-sync-a');
+    const b = canvasElement.querySelector('#demo-sync-b');
+    await Promise.all([a.updateComplete, b.updateComplete]);
+    const received = [a.received, b.received];
+
+    a.value = 'pears';
+    await a.updateComplete;
+    await b.updateComplete;
+    await expect(b.value).toBe('pears');
+
+    b.value = 'plums';
+    await b.updateComplete;
+    await a.updateComplete;
+    await expect(a.value).toBe('plums');
+
+    // One change each way, no echo back to the publisher
+    await expect([a.received - received[0], b.received - received[1]]).toEqual([2, 2]);
+    await expect(selection.value).toBe('plums');
+  },
+};
+
+export const MutatedArray = {
+  render: () => html`
+    <p>The editor mutates its array in place; the binding's <code>equals</code> still publishes it.</p>
+    <demo-basket-editor></demo-basket-editor>
+    <demo-basket-view></demo-basket-view>
+  `,
+  play: async ({ canvasElement }) => {
+    const editor = canvasElement.querySelector('demo-basket-editor');
+    const view = canvasElement.querySelector('demo-basket-view');
+    await editor.updateComplete;
+    const before = editor.items.length;
+
+    editor.add();
+    await editor.updateComplete;
+    await view.updateComplete;
+    await expect(view.items).toBe(editor.items);
+    await expect(view.shadowRoot.querySelector('output').textContent).toBe(`${before + 1} items`);
+  },
+};
+
+const tags = createPropertyChannel('demo-tags');
+
+/** Two-way binding of an array mutated in place (`equals: () => false`). */
+class DemoTagList extends SyncProperty(LitElement, { tags: { key: tags, equals: () => false } }) {
+  constructor() {
+    super();
+    this.tags = [];
+    this.updates = 0;
+  }
+
+  updated(changedProps) {
+    super.updated(changedProps);
+    this.updates++;
+  }
+
+  add() {
+    this.tags.push(`tag ${this.tags.length + 1}`);
+    this.requestUpdate('tags');
+  }
+
+  render() {
+    return html`<button @click=${this.add}>Add tag</button> <output>${this.tags.join(', ')}</output>`;
+  }
+}
+if (!customElements.get('demo-tag-list')) customElements.define('demo-tag-list', DemoTagList);
+
+export const TwoWayCustomEquals = {
+  render: () => html`
+    <p>
+      Both lists are two-way bound with <code>equals: () => false</code>; a received value is not
+      published back, so they don't update each other forever.
+    </p>
+    <demo-tag-list id="demo-tags-a"></demo-tag-list>
+    <demo-tag-list id="demo-tags-b"></demo-tag-list>
+  `,
+  play: async ({ canvasElement }) => {
+    const a = canvasElement.querySelector('#demo-tags-a');
+    const b = canvasElement.querySelector('#demo-tags-b');
+    await Promise.all([a.updateComplete, b.updateComplete]);
+    const settled = () => new Promise(resolve => setTimeout(resolve, 50));
+
+    const updates = [a.updates, b.updates];
+    a.add();
+    await settled();
+    await expect(b.tags).toBe(a.tags);
+    await expect(b.shadowRoot.querySelector('output').textContent).toBe(a.tags.join(', '));
+    // One update each: the change and its arrival, no echo
+    await expect([a.updates - updates[0], b.updates - updates[1]]).toEqual([1, 1]);
+    await expect(a.isUpdatePending || b.isUpdatePending).toBe(false);
+
+    b.add();
+    await settled();
+    await expect(a.shadowRoot.querySelector('output').textContent).toBe(b.tags.join(', '));
+  },
+};
@@ -1,13 +1,39 @@
 // highlight.stories.js
 
-import { html } from 'lit';
+import { html, css, LitElement } from 'lit';
+import { ref } from 'lit/directives/ref.js';
+import { expect, spyOn } from 'storybook/test';
 import '../src/query-manager/highlight-target.js';
 import '../src/query-manager/query-input.js';
+import '../src/query-manager/query-store-provider.js';
+import '../src/query-manager/query-results.js';
+import { createQueryStore, setQuery, getQuery } from '../src/query-manager/query-manager.js';
+import { syncQueryState } from '../src/query-manager/query-persistence.js';
+import { parseQuery } from '../src/query-manager/query-parser.js';
+import { HighlightableMixin } from '../src/HighlightableMixin.js';
 
 export default {
   title: 'Query Highlight/Scenarios',
 };
 
+const settled = (ms = 100) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Types `value` into a query-input like a user would and waits for the highlights. */
+async function typeQuery(input, value) {
+  const field = input.shadowRoot.querySelector('input');
+  field.value = value;
+  field.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+  await settled();
+}
+
+/** @param {HTMLElement} input @param {string} key @param {KeyboardEventInit} [init] */
+function pressKey(input, key, init) {
+  input.shadowRoot.querySelector('input')
+    .dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, composed: true, ...init }));
+}
+
+const markTexts = (el) => Array.from(el.querySelectorAll('mark'), mark => mark.textContent);
+
 export const BasicHighlighting = () => html`
   <query-input key="demo-basic" .options=${{
     splitWords: true,
@@ -20,6 +46,21 @@ export const BasicHighlighting = () => html`
   </highlight-target>
 `;
 
+BasicHighlighting.play = async ({ canvasElement }) => {
+  const input = canvasElement.querySelector('query-input');
+  const block = canvasElement.querySelector('[data-highlight]');
+  const text = block.textContent;
+
+  await typeQuery(input, 'Apple  banana');
+  await expect(markTexts(block)).toEqual(['apple', 'banana']);
+  await expect(block.textContent).toBe(text);
+
+  // Clearing puts the original text back
+  await typeQuery(input, '');
+  await expect(markTexts(block)).toEqual([]);
+  await expect(block.textContent).toBe(text);
+};
+
 export const WithExactMatch = () => html`
   <query-input key="demo-exact" .options=${{
     exactMatch: true,
@@ -32,6 +73,17 @@ export const WithExactMatch = () => html`
   </highlight-target>
 `;
 
+WithExactMatch.play = async ({ canvasElement }) => {
+  const input = canvasElement.querySelector('query-input');
+  const target = canvasElement.querySelector('highlight-target');
+
+  await typeQuery(input, 'man');
+  await expect(markTexts(target)).toEqual(['man']);
+  await typeQuery(input, 'manly');
+  await expect(markTexts(target)).toEqual(['manly']);
+  await typeQuery(input, '');
+};
+
 export const CustomNormalizer = () => html`
   <query-input key="demo-custom" .options=${{
     splitWords: false,
@@ -47,6 +99,16 @@ export const CustomNormalizer = () => html`
   </highlight-target>
 `;
 
+CustomNormalizer.play = async ({ canvasElement }) => {
+  const input = canvasElement.querySelector('query-input');
+  const target = canvasElement.querySelector('highlight-target');
+
+  // Both sides go through the normalizer: "a" and "o" are the same letter
+  await typeQuery(input, 'ovocodo');
+  await expect(markTexts(target)).toEqual(['avocado']);
+  await typeQuery(input, '');
+};
+
 export const MultipleTargets = () => html`
   <query-input key="demo-multi" .options=${{
     splitWords: true,
@@ -62,3 +124,892 @@ export const MultipleTargets = () => html`
     </div>
   </highlight-target>
 `;
+
+MultipleTargets.play = async ({ canvasElement }) => {
+  const input = canvasElement.querySelector('query-input');
+  const [first, second] = canvasElement.querySelectorAll('highlight-target');
+
+  await typeQuery(input, 'apple');
+  await expect([first.hasAnyMatch, second.hasAnyMatch]).toEqual([true, true]);
+  await typeQuery(input, 'mango');
+  await expect([first.hasAnyMatch, second.hasAnyMatch]).toEqual([true, false]);
+  await expect(second.hasAttribute('has-any-match')).toBe(false);
+  await typeQuery(input, '');
+};
+
+export const WithQueryIndicator = () => {
+  const updateStatus = (e) => {
+    const { hasAnyMatch, hasLocalMatch, hasShadowMatch } = e.detail;
+    e.currentTarget.querySelector('#status').textContent =
+      `hasQuery: ${e.currentTarget.hasQuery}, localMatch: ${hasLocalMatch}, shadowMatch: ${hasShadowMatch}, anyMatch: ${hasAnyMatch}`;
+  };
+
+  return html`
+    <query-input key="demo-status" .options=${{
+      splitWords: true,
+    }}></query-input>
+    <highlight-target key="demo-status" @query-match-change=${updateStatus}>
+      <div data-highlight>
+        The quick brown fox jumps over the lazy dog.
+      </div>
+      <div>
+        <strong>Status:</strong>
+        <span id="status"></span>
+      </div>
+    </highlight-target>
+  `;
+};
+
+WithQueryIndicator.play = async ({ canvasElement }) => {
+  const input = canvasElement.querySelector('query-input');
+  const status = canvasElement.querySelector('#status');
+
+  await typeQuery(input, 'fox');
+  await expect(status.textContent).toBe('hasQuery: true, localMatch: true, shadowMatch: false, anyMatch: true');
+  await typeQuery(input, 'cat');
+  await expect(status.textContent).toBe('hasQuery: true, localMatch: false, shadowMatch: false, anyMatch: false');
+  await typeQuery(input, '');
+};
+
+export const NestedTargets = () => html`
+  <query-input key="demo-nested" .options=${{
+    splitWords: true,
+    normalizers: 'default',
+  }}></query-input>
+  <highlight-target key="demo-nested">
+    Outer content with <span data-highlight>apple and orange</span>
+    <highlight-target key="demo-nested">
+      <div data-highlight>
+        Inner block: banana and mango.
+      </div>
+    </highlight-target>
+  </highlight-target>
+`;
+
+NestedTargets.play = async ({ canvasElement }) => {
+  const input = canvasElement.querySelector('query-input');
+  const [outer, inner] = canvasElement.querySelectorAll('highlight-target');
+
+  // The inner target marks its own block; the outer one reports it as a nested match
+  await typeQuery(input, 'banana');
+  await expect(markTexts(inner)).toEqual(['banana']);
+  await expect([outer.hasLocalMatch, outer.hasShadowMatch, outer.hasAnyMatch]).toEqual([false, true, true]);
+  await expect([outer.matchCount, outer.shadowMatchCount]).toEqual([0, 1]);
+
+  await typeQuery(input, 'apple');
+  await expect(markTexts(outer)).toEqual(['apple']);
+  await expect([outer.hasLocalMatch, outer.hasShadowMatch]).toEqual([true, false]);
+  await typeQuery(input, '');
+};
+
+export const ScopedStores = () => html`
+  <query-store-provider>
+    <query-input key="search"></query-input>
+    <highlight-target key="search">
+      <div data-highlight>
+        Left widget: apple, banana and cherry.
+      </div>
+    </highlight-target>
+  </query-store-provider>
+  <query-store-provider>
+    <query-input key="search"></query-input>
+    <highlight-target key="search">
+      <div data-highlight>
+        Right widget: apple, mango and kiwi.
+      </div>
+    </highlight-target>
+  </query-store-provider>
+`;
+
+ScopedStores.play = async ({ canvasElement }) => {
+  const [left, right] = canvasElement.querySelectorAll('query-store-provider');
+  const leftInput = left.querySelector('query-input');
+
+  // Same key, separate stores: the right widget doesn't see the left query
+  await typeQuery(leftInput, 'apple');
+  await expect(markTexts(left)).toEqual(['apple']);
+  await expect(markTexts(right)).toEqual([]);
+  await expect(right.querySelector('query-input').value).toBe('');
+  await typeQuery(leftInput, '');
+};
+
+/**
+ * Syncs `keys` with the URL/storage while it is in the page; leaving the story (or re-rendering it)
+ * disposes the sync, so listeners and subscriptions don't pile up. Connects before its children,
+ * so they see the restored query.
+ */
+class DemoQuerySync extends HTMLElement {
+  connectedCallback() {
+    this._dispose = syncQueryState(this.keys ?? {});
+  }
+
+  disconnectedCallback() {
+    this._dispose?.();
+    this._dispose = null;
+  }
+}
+if (!customElements.get('demo-query-sync')) customElements.define('demo-query-sync', DemoQuerySync);
+
+export const PersistedQuery = () => html`
+  <demo-query-sync .keys=${{ 'demo-persisted': { url: 'hash', param: 'q', storage: true } }}>
+    <query-input key="demo-persisted"></query-input>
+    <highlight-target key="demo-persisted">
+      <div data-highlight>
+        Type something, reload the page: the query comes back from the URL hash.
+      </div>
+    </highlight-target>
+  </demo-query-sync>
+`;
+
+PersistedQuery.play = async ({ canvasElement }) => {
+  const sync = canvasElement.querySelector('demo-query-sync');
+  const input = sync.querySelector('query-input');
+  const target = sync.querySelector('highlight-target');
+  const url = location.href;
+  const persisted = () => [new URLSearchParams(location.hash.slice(1)).get('q'), sessionStorage.getItem('query:q')];
+  const written = () => new Promise(resolve => setTimeout(resolve, 400));
+
+  try {
+    // Saved to the hash and sessionStorage after the debounce
+    setQuery('demo-persisted', 'reload');
+    await written();
+    await expect(persisted()).toEqual(['reload', 'reload']);
+
+    // Disposed with the element: later changes are not written
+    sync.remove();
+    setQuery('demo-persisted', 'gone');
+    await written();
+    await expect(persisted()).toEqual(['reload', 'reload']);
+
+    // Restored when it is attached again, before its children subscribe
+    setQuery('demo-persisted', '');
+    canvasElement.append(sync);
+    await expect(getQuery('demo-persisted')).toBe('reload');
+    await input.updateComplete;
+    await expect(input.value).toBe('reload');
+    await written();
+    await expect(target.querySelector('mark')?.textContent).toBe('reload');
+
+    // A restored value keeps the options of the key, or gets the configured ones
+    const store = createQueryStore();
+    const configured = { splitWords: true };
+    let dispose = syncQueryState({ 'demo-persisted': { url: 'hash', param: 'q', options: configured } }, { store });
+    await expect(store.getQueryOptions('demo-persisted')).toBe(configured);
+    dispose();
+
+    const current = { exactMatch: true };
+    store.setQuery('demo-persisted', '', current);
+    dispose = syncQueryState({ 'demo-persisted': { url: 'hash', param: 'q', options: configured } }, { store });
+    await expect([store.getQuery('demo-persisted'), store.getQueryOptions('demo-persisted')]).toEqual(['reload', current]);
+    dispose();
+  } finally {
+    history.replaceState(history.state, '', url);
+    sessionStorage.removeItem('query:q');
+    if (!sync.isConnected) canvasElement.append(sync);
+    setQuery('demo-persisted', '');
+  }
+};
+
+export const MatchNavigation = () => html`
+  <p>Press Enter / Shift+Enter in the field to jump between hits.</p>
+  <query-input key="demo-navigation"></query-input>
+  <highlight-target key="demo-navigation">
+    <div data-highlight>
+      Apples, bananas and more apples in the first block.
+    </div>
+  </highlight-target>
+  <highlight-target key="demo-navigation">
+    <div data-highlight>
+      The second block mentions apple pie and apple juice.
+    </div>
+  </highlight-target>
+`;
+
+MatchNavigation.play = async ({ canvasElement }) => {
+  const input = canvasElement.querySelector('query-input');
+  const status = input.shadowRoot.querySelector('.status');
+  const active = () => canvasElement.querySelector('mark[data-active]');
+
+  await typeQuery(input, 'apple');
+  await input.updateComplete;
+  await expect(status.textContent).toBe('4 matches');
+
+  // Enter goes forward across both targets, Shift+Enter back, wrapping around
+  pressKey(input, 'Enter');
+  await input.updateComplete;
+  await expect(status.textContent).toBe('1 of 4');
+  await expect(active().closest('highlight-target')).toBe(canvasElement.querySelector('highlight-target'));
+  pressKey(input, 'Enter', { shiftKey: true });
+  await input.updateComplete;
+  await expect(status.textContent).toBe('4 of 4');
+  await expect(active().textContent).toBe('apple');
+  await expect(canvasElement.querySelectorAll('mark[data-active]').length).toBe(1);
+  await typeQuery(input, '');
+};
+
+export const FuzzyMatching = () => html`
+  <p>Try "Mueler", "Schilerstrasse" or "Kaufhoff".</p>
+  <query-input key="demo-fuzzy" .options=${{
+    splitWords: true,
+    normalizers: 'default',
+    matchMode: 'fuzzy',
+  }}></query-input>
+  <highlight-target key="demo-fuzzy">
+    <div data-highlight>
+      Müller GmbH, Schillerstraße 5, 10625 Berlin
+    </div>
+    <div data-highlight>
+      Kaufhof Warenhaus AG, Leonhard-Tietz-Straße 1, 50676 Köln
+    </div>
+  </highlight-target>
+`;
+
+FuzzyMatching.play = async ({ canvasElement }) => {
+  const input = canvasElement.querySelector('query-input');
+  const target = canvasElement.querySelector('highlight-target');
+
+  await typeQuery(input, 'Mueler');
+  await expect(markTexts(target)).toEqual(['Müller']);
+  await typeQuery(input, 'Schilerstrasse Kaufhoff');
+  await expect(markTexts(target)).toEqual(['Schillerstraße', 'Kaufhof']);
+  await expect(target.querySelector('mark').dataset.match).toBe('fuzzy');
+  await typeQuery(input, '');
+};
+
+export const HighlightApiBackend = () => html`
+  <p>Uses the CSS Custom Highlight API when available, otherwise falls back to &lt;mark&gt;.</p>
+  <query-input key="demo-highlight-api" .options=${{
+    splitWords: true,
+    useHighlightAPI: true,
+  }}></query-input>
+  <highlight-target key="demo-highlight-api">
+    <div data-highlight>
+      The DOM of this block is never modified while searching for apple or banana.
+    </div>
+  </highlight-target>
+`;
+
+HighlightApiBackend.play = async ({ canvasElement }) => {
+  const input = canvasElement.querySelector('query-input');
+  const target = canvasElement.querySelector('highlight-target');
+  const html = target.innerHTML;
+
+  await typeQuery(input, 'apple banana');
+  await expect(target.matchCount).toBe(2);
+  if (globalThis.CSS?.highlights) {
+    // Ranges only: the markup is untouched
+    await expect(target.innerHTML).toBe(html);
+  } else {
+    await expect(markTexts(target)).toEqual(['apple', 'banana']);
+  }
+  await typeQuery(input, '');
+  await expect(target.innerHTML).toBe(html);
+};
+
+export const FilterMode = () => html`
+  <query-input key="demo-filter"></query-input>
+  <query-results key="demo-filter" filter>
+    <highlight-target key="demo-filter">
+      <div data-highlight>Apple: crisp and sweet.</div>
+    </highlight-target>
+    <highlight-target key="demo-filter">
+      <div data-highlight>Banana: soft and yellow.</div>
+    </highlight-target>
+    <highlight-target key="demo-filter">
+      <div data-highlight>Cherry: small and red.</div>
+    </highlight-target>
+    <p slot="empty">Nothing found. Try "apple" or "red".</p>
+  </query-results>
+`;
+
+FilterMode.play = async ({ canvasElement }) => {
+  const input = canvasElement.querySelector('query-input');
+  const results = canvasElement.querySelector('query-results');
+  const shown = () => Array.from(results.querySelectorAll('highlight-target:not([filtered-out])'), el => el.textContent.trim());
+  const emptyHidden = () => results.shadowRoot.querySelector('slot[name="empty"]').parentElement.hidden;
+
+  await typeQuery(input, 'red');
+  await expect(shown()).toEqual(['Cherry: small and red.']);
+  await expect(results.shadowRoot.querySelector('.summary').textContent.trim()).toBe('1 result');
+
+  await typeQuery(input, 'kiwi');
+  await expect(shown()).toEqual([]);
+  await expect(emptyHidden()).toBe(false);
+
+  await typeQuery(input, '');
+  await expect(shown().length).toBe(3);
+  await expect(emptyHidden()).toBe(true);
+};
+
+export const QuerySyntax = () => html`
+  <p>Try <code>"new york" -bakery</code>, <code>city:berlin OR paris</code> or an unterminated <code>"quote</code>.</p>
+  <query-input key="demo-syntax" .options=${{ querySyntax: true }}></query-input>
+  <query-results key="demo-syntax" filter>
+    <highlight-target key="demo-syntax">
+      <div data-highlight="name">Berlin Bakery</div>
+      <div data-highlight="city">New York</div>
+    </highlight-target>
+    <highlight-target key="demo-syntax">
+      <div data-highlight="name">Paris Deli</div>
+      <div data-highlight="city">Berlin</div>
+    </highlight-target>
+  </query-results>
+`;
+
+QuerySyntax.play = async ({ canvasElement }) => {
+  const terms = (input, options) => parseQuery(input, options).ast.children[0].children
+    .map(({ field, value }) => ({ field, value }));
+
+  await expect(terms('city:berlin')).toEqual([{ field: 'city', value: 'berlin' }]);
+  // Times, references and URLs are words, not field scopes
+  await expect(terms('meeting 12:30')).toEqual([
+    { field: null, value: 'meeting' },
+    { field: null, value: '12:30' },
+  ]);
+  await expect(terms('Ref: 123')).toEqual([
+    { field: null, value: 'Ref:' },
+    { field: null, value: '123' },
+  ]);
+  await expect(parseQuery('Ref: 123').diagnostics).toEqual([]);
+  await expect(terms('https://example.com')).toEqual([{ field: null, value: 'https://example.com' }]);
+  // With known fields, other prefixes stay part of the word
+  await expect(terms('note:x city:y', { fields: ['city'] })).toEqual([
+    { field: null, value: 'note:x' },
+    { field: 'city', value: 'y' },
+  ]);
+
+  // The input reports problems with the fields of its targets, as they parse the query
+  const input = canvasElement.querySelector('query-input');
+  await input.updateComplete;
+  const diagnose = async (value) => {
+    const reported = new Promise(resolve => input.addEventListener('query-diagnostics', e => resolve(e.detail), { once: true }));
+    const field = input.shadowRoot.querySelector('input');
+    field.value = value;
+    field.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    return (await reported).diagnostics.map(({ code }) => code);
+  };
+  await expect(await diagnose('city: paris')).toEqual(['empty-field']);
+  await expect(await diagnose('Note: paris')).toEqual([]);
+  await expect(await diagnose('"new york')).toEqual(['unterminated-phrase']);
+  await diagnose('');
+};
+
+export const ObservedContent = () => {
+  let rows = 0;
+  const addRow = (e) => {
+    const list = e.target.parentElement.querySelector('ul[data-highlight]');
+    const item = document.createElement('li');
+    item.textContent = `Lazy row ${++rows}: ${rows % 2 ? 'apple pie' : 'banana bread'}`;
+    list.append(item);
+  };
+
+  return html`
+    <p>Search for "apple", then add rows: new text is highlighted without typing again.</p>
+    <query-input key="demo-observe"></query-input>
+    <div>
+      <button @click=${addRow}>Add row</button>
+      <highlight-target key="demo-observe" observe>
+        <ul data-highlight>
+          <li>Initial row: apple strudel</li>
+        </ul>
+      </highlight-target>
+    </div>
+  `;
+};
+
+ObservedContent.play = async ({ canvasElement }) => {
+  const target = canvasElement.querySelector('highlight-target');
+  const cursor = target.activeQueryStore.getMatchCursor('demo-observe');
+  const settled = () => new Promise(resolve => setTimeout(resolve, 100));
+
+  setQuery('demo-observe', 'apple');
+  await settled();
+  const [first] = target.querySelectorAll('mark');
+  await expect(cursor.next()).toBe(first);
+
+  // The added row is highlighted on its own; the active hit stays the active one
+  canvasElement.querySelector('button').click();
+  await settled();
+  await expect(target.querySelectorAll('mark').length).toBe(2);
+  await expect([cursor.index, cursor.total]).toEqual([0, 2]);
+  await expect(first.hasAttribute('data-active')).toBe(true);
+  await expect(cursor.next()?.textContent).toBe('apple');
+  await expect(cursor.index).toBe(1);
+
+  setQuery('demo-observe', '');
+};
+
+export const LargeDocument = () => {
+  const rows = Array.from({ length: 5000 }, (_, i) => html`
+    <tr data-highlight><td>TX-${String(i).padStart(5, '0')}</td><td>${i % 3 ? 'Card payment' : 'Transfer'} ${i * 7 % 1000} EUR</td></tr>
+  `);
+  const onProgress = (e) => {
+    const progress = e.currentTarget.querySelector('progress');
+    progress.max = e.detail.total;
+    progress.value = e.detail.processed;
+  };
+
+  return html`
+    <p>5,000 rows highlighted in slices: typing stays responsive, outdated passes are dropped.</p>
+    <query-input key="demo-large" .options=${{ async: true, debounce: 150 }}></query-input>
+    <div @query-progress=${onProgress}>
+      <progress value="0" max="1"></progress>
+      <highlight-target key="demo-large">
+        <table><tbody>${rows}</tbody></table>
+      </highlight-target>
+    </div>
+  `;
+};
+
+LargeDocument.play = async ({ canvasElement }) => {
+  const input = canvasElement.querySelector('query-input');
+  const target = canvasElement.querySelector('highlight-target');
+  const progress = canvasElement.querySelector('progress');
+  const committed = () => new Promise(resolve => (
+    target.addEventListener('query-match-change', e => resolve(e.detail), { once: true })
+  ));
+
+  // Quick keystrokes within the debounce send one query
+  const done = committed();
+  const field = input.shadowRoot.querySelector('input');
+  ['0', '04', '04242'].forEach((value) => {
+    field.value = value;
+    field.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+  });
+  await expect((await done).query).toBe('04242');
+  await expect(markTexts(target)).toEqual(['04242']);
+  await expect(progress.value).toBe(progress.max);
+
+  const cleared = committed();
+  await typeQuery(input, '');
+  await cleared;
+  await expect(markTexts(target)).toEqual([]);
+};
+
+export const AttributesAndFormValues = () => html`
+  <p>
+    Search for "timeout", "proxy" or "dark": attribute and form value hits get an outline, text
+    inputs and textareas also overlay marks on the hit. Values stay untouched.
+  </p>
+  <query-input key="demo-controls" .options=${{ matchAttributes: true, matchFormValues: true }}></query-input>
+  <highlight-target key="demo-controls">
+    <form data-highlight>
+      <label>Connection <input value="Request timeout: 30s"></label>
+      <label>Notes <textarea>Use the corporate proxy on weekdays.</textarea></label>
+      <label>Theme
+        <select>
+          <option>Light</option>
+          <option>Dark</option>
+        </select>
+      </label>
+      <button type="button" title="Reset timeout settings" aria-label="Reset">↺</button>
+    </form>
+  </highlight-target>
+`;
+
+AttributesAndFormValues.play = async ({ canvasElement }) => {
+  const target = canvasElement.querySelector('highlight-target');
+  const input = canvasElement.querySelector('input');
+  setQuery('demo-controls', 'timeout', { matchAttributes: true, matchFormValues: true });
+  await target.updateComplete;
+
+  // The input and the button's title; the mirror's text is not counted again
+  await expect(target.matchCount).toBe(2);
+  await expect(input.value).toBe('Request timeout: 30s');
+  const overlay = input.nextElementSibling;
+  await expect(overlay.hasAttribute('data-query-overlay')).toBe(true);
+  await expect(overlay.querySelector('mark').textContent).toBe('timeout');
+
+  // Typing makes the overlay outdated, it goes away
+  input.dispatchEvent(new Event('input'));
+  await expect(canvasElement.querySelector('[data-query-overlay]')).toBeNull();
+  setQuery('demo-controls', '');
+};
+
+export const SearchIndex = () => {
+  const items = Array.from({ length: 30 }, (_, i) => ({
+    id: `invoice-${i + 1}`,
+    text: `Invoice ${i + 1}: ${['apple', 'banana', 'cherry'][i % 3]} delivery`,
+  }));
+  const pageSize = 10;
+  let page = 0;
+  let target = null;
+
+  const renderPage = () => {
+    const rows = items.slice(page * pageSize, (page + 1) * pageSize).map((item) => {
+      const row = document.createElement('li');
+      row.dataset.queryId = item.id;
+      row.textContent = item.text;
+      return row;
+    });
+    target.querySelector('ul').replaceChildren(...rows);
+    target.querySelector('.page').textContent = `Page ${page + 1} of ${items.length / pageSize}`;
+  };
+
+  // Plain object index over all pages; reveal() switches to the page of the row
+  const index = {
+    items,
+    reveal(id) {
+      page = Math.floor(items.findIndex((item) => item.id === id) / pageSize);
+      renderPage();
+      return target.querySelector(`[data-query-id="${id}"]`);
+    },
+  };
+
+  const setup = (el) => {
+    if (!el || target) return;
+    target = el;
+    renderPage();
+    target.registerQueryIndex(index);
+  };
+
+  const turn = (step) => {
+    page = (page + step + items.length / pageSize) % (items.length / pageSize);
+    renderPage();
+  };
+
+  const revealNext = () => {
+    const { results } = target.activeQueryStore.getIndexResults('demo-index');
+    const rendered = new Set(Array.from(target.querySelectorAll('[data-query-id]'), (row) => row.dataset.queryId));
+    const id = results.flatMap((result) => result.ids).find((candidate) => !rendered.has(candidate));
+    if (id) target.revealMatch(id);
+  };
+
+  return html`
+    <p>Only one page is rendered; the index reports matches of the other pages. Try "cherry".</p>
+    <query-input key="demo-index"></query-input>
+    <query-results key="demo-index">
+      <highlight-target key="demo-index" observe ${ref(setup)}>
+        <p class="page"></p>
+        <ul data-highlight></ul>
+      </highlight-target>
+    </query-results>
+    <button @click=${() => turn(-1)}>Previous page</button>
+    <button @click=${() => turn(1)}>Next page</button>
+    <button @click=${revealNext}>Show a match on another page</button>
+  `;
+};
+
+SearchIndex.play = async ({ canvasElement }) => {
+  const target = canvasElement.querySelector('highlight-target');
+  const store = target.activeQueryStore;
+  const settled = () => new Promise(resolve => setTimeout(resolve, 100));
+
+  // The index reports the hits of every page, the target marks the rendered one
+  store.setQuery('demo-index', 'cherry');
+  await settled();
+  const results = store.getIndexResults('demo-index');
+  await expect([results.pending, results.count]).toEqual([false, 10]);
+  await expect(target.querySelectorAll('mark').length).toBe(3);
+
+  // Revealing a row of another page renders it, highlights it and makes its hit the active one
+  const revealed = await target.revealMatch('invoice-12');
+  await settled();
+  await expect(target.querySelector('.page').textContent).toBe('Page 2 of 3');
+  await expect(revealed.querySelector('mark')).not.toBeNull();
+  await expect(revealed.querySelector('mark[data-active]')).not.toBeNull();
+
+  // A throwing results subscriber is reported, not left as an unhandled rejection
+  const warn = spyOn(console, 'warn').mockImplementation(() => {});
+  const unsubscribe = store.subscribeIndexResults('demo-index', () => {
+    throw new Error('subscriber failed');
+  });
+  try {
+    store.setQuery('demo-index', 'apple');
+    await settled();
+    await expect(warn).toHaveBeenCalledWith('[query-index] search failed:', expect.any(Error));
+  } finally {
+    unsubscribe();
+    warn.mockRestore();
+    store.setQuery('demo-index', '');
+  }
+};
+
+/** Card rendering its own target inside its shadow root. */
+class DemoShadowCard extends LitElement {
+  static properties = { text: { type: String } };
+
+  render() {
+    return html`
+      <highlight-target key="demo-shadow">
+        <p data-highlight>${this.text}</p>
+      </highlight-target>
+    `;
+  }
+}
+if (!customElements.get('demo-shadow-card')) customElements.define('demo-shadow-card', DemoShadowCard);
+
+export const NestedShadowTargets = () => {
+  const onMatchChange = (e) => {
+    const outer = e.currentTarget.querySelector('highlight-target');
+    e.currentTarget.querySelector('output').value =
+      `own: ${outer.matchCount}, nested: ${outer.shadowMatchCount}, any: ${outer.hasAnyMatch}`;
+  };
+
+  return html`
+    <p>The outer target turns green for matches inside the cards' shadow roots. Try "mango".</p>
+    <query-input key="demo-shadow"></query-input>
+    <div @query-match-change=${onMatchChange}>
+      <output></output>
+      <highlight-target key="demo-shadow">
+        <p data-highlight>Outer text: apple and orange</p>
+        <demo-shadow-card text="Card one: banana and mango"></demo-shadow-card>
+        <demo-shadow-card text="Card two: mango chutney"></demo-shadow-card>
+      </highlight-target>
+    </div>
+  `;
+};
+
+NestedShadowTargets.play = async ({ canvasElement }) => {
+  const input = canvasElement.querySelector('query-input');
+  const output = canvasElement.querySelector('output');
+  const outer = canvasElement.querySelector('highlight-target');
+
+  // Hits inside the cards' shadow roots count for the outer target as nested matches
+  await typeQuery(input, 'mango');
+  await expect(output.value).toBe('own: 0, nested: 2, any: true');
+  await expect(outer.hasAttribute('has-shadow-match')).toBe(true);
+
+  await typeQuery(input, 'orange');
+  await expect(output.value).toBe('own: 1, nested: 0, any: true');
+  await typeQuery(input, '');
+};
+
+export const HistoryAndSuggestions = () => {
+  const cities = ['Amsterdam', 'Antwerp', 'Athens', 'Barcelona', 'Berlin', 'Bern'];
+  // Stands in for a server-side autocomplete
+  const provider = async (value, { signal }) => {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    if (signal.aborted) return [];
+    return cities.filter((city) => city.toLowerCase().startsWith(value.toLowerCase()));
+  };
+
+  return html`
+    <p>
+      Enter remembers a query (five per key). The first field suggests words found in the text,
+      the second one asks a provider. Escape clears the field.
+    </p>
+    <query-input key="demo-suggest" history-size="5" suggest>
+      <option slot="suggestions">banana bread</option>
+    </query-input>
+    <highlight-target key="demo-suggest">
+      <p data-highlight>Apple pie, apple strudel, pineapple juice and banana bread.</p>
+    </highlight-target>
+
+    <query-input key="demo-provider" history-size="5" placeholder="City..." .suggestionProvider=${provider}></query-input>
+    <highlight-target key="demo-provider">
+      <p data-highlight>${cities.join(', ')}</p>
+    </highlight-target>
+  `;
+};
+
+HistoryAndSuggestions.play = async ({ canvasElement }) => {
+  const [wordsInput, providerInput] = canvasElement.querySelectorAll('query-input');
+  const suggestions = (input) => Array.from(input.shadowRoot.querySelectorAll('[role="option"]'), option => option.textContent);
+  wordsInput.clearHistory();
+  providerInput.clearHistory();
+
+  try {
+    // Enter remembers the query, Escape clears the field, the empty field offers the history
+    await typeQuery(wordsInput, 'strudel');
+    pressKey(wordsInput, 'Enter');
+    pressKey(wordsInput, 'Escape');
+    await wordsInput.updateComplete;
+    await expect(wordsInput.value).toBe('');
+    await expect(suggestions(wordsInput)).toEqual(['strudel']);
+
+    // Words of the text that contain the hits
+    await typeQuery(wordsInput, 'ap');
+    await wordsInput.updateComplete;
+    await expect(suggestions(wordsInput)).toEqual(['Apple', 'pineapple']);
+
+    // Provider answers; Arrow Down + Enter takes the first one
+    await typeQuery(providerInput, 'Ber');
+    await settled(150);
+    await providerInput.updateComplete;
+    await expect(suggestions(providerInput)).toEqual(['Berlin', 'Bern']);
+    pressKey(providerInput, 'ArrowDown');
+    pressKey(providerInput, 'Enter');
+    await settled();
+    await expect(providerInput.value).toBe('Berlin');
+    await expect(markTexts(canvasElement.querySelectorAll('highlight-target')[1])).toEqual(['Berlin']);
+  } finally {
+    wordsInput.clear();
+    providerInput.clear();
+    wordsInput.clearHistory();
+    providerInput.clearHistory();
+  }
+};
+
+export const TermColours = () => html`
+  <p>
+    Each word of the query gets its own colour. Hits that only match after normalization are
+    underlined, fuzzy hits get a dotted underline and a grey background. Try "Creme brulee tarte".
+  </p>
+  <query-input key="demo-terms" .options=${{ splitWords: true, matchMode: 'fuzzy' }}></query-input>
+  <highlight-target
+    key="demo-terms"
+    style="
+      --highlight-term-1-background: #9be7c4;
+      --highlight-normalized-decoration: underline;
+      --highlight-fuzzy-background: #e0e0e0;
+    "
+  >
+    <p data-highlight>Crème brûlée, creme caramel and a tart tatin for dessert.</p>
+  </highlight-target>
+`;
+
+TermColours.play = async ({ canvasElement }) => {
+  const input = canvasElement.querySelector('query-input');
+  const target = canvasElement.querySelector('highlight-target');
+
+  await typeQuery(input, 'Creme brulee tarte');
+  const marks = Array.from(target.querySelectorAll('mark'), ({ textContent, dataset }) => [textContent, dataset.term, dataset.match]);
+  await expect(marks).toEqual([
+    ['Crème', '0', 'normalized'],
+    ['brûlée', '1', 'normalized'],
+    ['creme', '0', 'normalized'],
+    ['tart', '2', 'fuzzy'],
+  ]);
+  await typeQuery(input, '');
+};
+
+export const LocalePacks = () => html`
+  <p>
+    Each input picks the normalizer pack of its <code>locale</code>; without one it follows
+    <code>&lt;html lang&gt;</code>. Try "istanbul", "lodz", "orsted", "moskva" or "kharkiv".
+  </p>
+  <query-input key="demo-locale-tr" locale="tr" .options=${{ splitWords: true }}></query-input>
+  <highlight-target key="demo-locale-tr">
+    <p data-highlight lang="tr">İstanbul, ISPARTA, Iğdır ve Şanlıurfa</p>
+  </highlight-target>
+
+  <query-input key="demo-locale-pl" locale="pl" .options=${{ splitWords: true }}></query-input>
+  <highlight-target key="demo-locale-pl">
+    <p data-highlight lang="pl">Łódź, Gdańsk, Kraków i Białystok</p>
+  </highlight-target>
+
+  <query-input key="demo-locale-da" locale="da" .options=${{ splitWords: true }}></query-input>
+  <highlight-target key="demo-locale-da">
+    <p data-highlight lang="da">Ørsted, Ærø, Åre og Þórshöfn</p>
+  </highlight-target>
+
+  <query-input key="demo-locale-ru" locale="ru" .options=${{ splitWords: true }}></query-input>
+  <highlight-target key="demo-locale-ru">
+    <p data-highlight lang="ru">Москва, Санкт-Петербург и Новосибирск</p>
+  </highlight-target>
+
+  <query-input key="demo-locale-uk" locale="uk" .options=${{ splitWords: true }}></query-input>
+  <highlight-target key="demo-locale-uk">
+    <p data-highlight lang="uk">Харків, Київ, Запоріжжя та Львів</p>
+  </highlight-target>
+`;
+
+LocalePacks.play = async ({ canvasElement }) => {
+  const inputs = canvasElement.querySelectorAll('query-input');
+  const targets = canvasElement.querySelectorAll('highlight-target');
+  const cases = [['istanbul', 'İstanbul'], ['lodz', 'Łódź'], ['orsted', 'Ørsted'], ['moskva', 'Москва'], ['kharkiv', 'Харків']];
+
+  for (const [i, [query, hit]] of cases.entries()) {
+    await typeQuery(inputs[i], query);
+    await expect(markTexts(targets[i])).toEqual([hit]);
+    await typeQuery(inputs[i], '');
+  }
+};
+
+/** Card that follows the `query-key` of the nearest store and highlights with `this.highlight(text)`. */
+class DemoBoundCard extends HighlightableMixin(LitElement) {
+  static properties = { heading: { type: String }, text: { type: String } };
+
+  // The count is known after the render, the reflected attribute shows it without another one
+  static styles = css`
+    :host::after {
+      content: attr(localmatchcount) ' hits';
+      font-size: small;
+    }
+  `;
+
+  render() {
+    return html`
+      <h4>${this.highlight(this.heading)}</h4>
+      <p>${this.highlight(this.text)}</p>
+    `;
+  }
+}
+if (!customElements.get('demo-bound-card')) customElements.define('demo-bound-card', DemoBoundCard);
+
+export const BoundHighlightable = () => html`
+  <p>
+    The cards don't receive the query, they follow <code>query-key</code> of the nearest provider
+    and use the normalizers of its input. Try "creme" or "brulee".
+  </p>
+  <query-store-provider>
+    <query-input key="demo-bound" .options=${{ normalizers: 'default', splitWords: true }}></query-input>
+    <demo-bound-card query-key="demo-bound" heading="Crème brûlée" text="Custard with a caramel crust."></demo-bound-card>
+    <demo-bound-card query-key="demo-bound" heading="Tarte Tatin" text="Upside-down apple tart, served with crème fraîche."></demo-bound-card>
+  </query-store-provider>
+`;
+
+BoundHighlightable.play = async ({ canvasElement }) => {
+  const input = canvasElement.querySelector('query-input');
+  const [brulee, tatin] = canvasElement.querySelectorAll('demo-bound-card');
+  const counts = () => [brulee, tatin].map(card => [card.localMatchCount, card.hasAttribute('matched')]);
+
+  // The input's normalizers apply: "creme" finds "crème"
+  await typeQuery(input, 'creme');
+  await expect(counts()).toEqual([[1, true], [1, true]]);
+  await typeQuery(input, 'brulee');
+  await expect(counts()).toEqual([[1, true], [0, false]]);
+  await expect(brulee.shadowRoot.querySelector('h4 mark')?.textContent).toBe('brûlée');
+  await typeQuery(input, '');
+  await expect(counts()).toEqual([[0, true], [0, true]]);
+};
+
+/** Highlight API card that counts its renders. */
+class DemoCountedCard extends HighlightableMixin(LitElement) {
+  static properties = { text: { type: String } };
+
+  constructor() {
+    super();
+    this.renders = 0;
+  }
+
+  updated(changedProps) {
+    super.updated(changedProps);
+    this.countChanged = changedProps.has('localMatchCount');
+  }
+
+  render() {
+    this.renders++;
+    return html`<p>${this.highlight(this.text, this.query, { useHighlightAPI: true, splitWords: true })}</p>`;
+  }
+}
+if (!customElements.get('demo-counted-card')) customElements.define('demo-counted-card', DemoCountedCard);
+
+export const SingleRenderCounts = {
+  render: () => html`
+    <p>The counts are set with the render that produced them: one render per query change.</p>
+    <demo-counted-card text="apple pie, apple tart and pear juice"></demo-counted-card>
+  `,
+  play: async ({ canvasElement }) => {
+    const card = canvasElement.querySelector('demo-counted-card');
+    await card.updateComplete;
+
+    const search = async (query, expectedCount) => {
+      const renders = card.renders;
+      card.query = query;
+      await card.updateComplete;
+      await expect(card.renders - renders).toBe(1);
+      await expect(card.countChanged).toBe(true);
+      await expect(card.localMatchCount).toBe(expectedCount);
+      await expect(card.getAttribute('localmatchcount')).toBe(String(expectedCount));
+      await expect(card.matched).toBe(expectedCount > 0);
+      await expect(card.hasAttribute('matched')).toBe(expectedCount > 0);
+    };
+
+    await search('apple', 2);
+    await search('apple pear', 3);
+    await search('kiwi', 0);
+    await expect(card.isUpdatePending).toBe(false);
+  },
+};